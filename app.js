@@ -1,13 +1,17 @@
 /* app.js - Tiny Dart-only playground
-   - Multi-file (virtual FS) with localStorage persistence
-   - Compile via dart_sdk_new.js
+   - Named multi-file projects (virtual FS) saved in IndexedDB (localStorage fallback)
+   - Compile via dart_sdk_new.js in a Web Worker (compile_worker.js)
    - Mobile-friendly UI with console & live preview iframe
 */
 (() => {
   'use strict';
 
   /*** ---------- Constants ---------- ***/
-  const LS_KEY = 'dartpad_mini_project_v1';
+  const LS_KEY = 'dartpad_mini_project_v1';  // pre-projects single state, migrated on first load
+  const PROJECTS_KEY = 'dartpad_mini_projects';
+  const KEYMAP_KEY = 'dartpad_mini_keymap';
+  const PROJECT_KEY_PREFIX = 'dartpad_mini_project_v2:';
+  const SNAPSHOT_KEY_PREFIX = 'dartpad_mini_snapshots:';
   const DEFAULT_FILES = {
     'main.dart': `import 'dart:html';
 
@@ -17,43 +21,274 @@ void main() {
 }
 `,
   };
+  // Runtime options understood by DartDevEmbedder.setDartSDKRuntimeOptions,
+  // so they only apply to DDC sessions (hot reload / restart); dart2js
+  // output has no such runtime.
+  const RUNTIME_FLAGS = ['nonNullAsserts', 'nativeNonNullAsserts', 'jsInteropNonNullAsserts', 'weakNullSafetyErrors'];
+  const DEFAULT_RUN_CONFIG = { name: 'main', entry: 'main.dart', args: [], flags: {} };
+  const DEFAULT_SETTINGS = { formatOnRun: false };
+  // Command id → key combo ('' = unbound); see COMMANDS.
+  const DEFAULT_KEYMAP = {
+    run: 'Ctrl+Enter', formatSave: 'Ctrl+S', quickOpen: 'Ctrl+P', newFile: 'Alt+N', renameFile: 'F2',
+    find: 'Ctrl+Shift+F', foldAll: 'Ctrl+Alt+[', unfoldAll: 'Ctrl+Alt+]', analyze: 'Ctrl+Shift+A', hotReload: 'Alt+R', hotRestart: 'Alt+Shift+R',
+    splitEditor: 'Ctrl+\\', closeTab: 'Alt+W', projects: 'Alt+P', snapshots: 'Alt+H', exportProject: '', shortcuts: 'F1', keymapSettings: 'Ctrl+,'
+  };
 
   const UI = {
     fileList: document.getElementById('file-list'),
+    outline: document.getElementById('outline'),
     addFileBtn: document.getElementById('add-file'),
+    addFolderBtn: document.getElementById('add-folder'),
     runBtn: document.getElementById('run'),
+    cancelBtn: document.getElementById('cancel'),
+    runConfigSelect: document.getElementById('run-config'),
+    runConfigEditBtn: document.getElementById('run-config-edit'),
+    hotReloadBtn: document.getElementById('hot-reload'),
+    hotRestartBtn: document.getElementById('hot-restart'),
+    hotGen: document.getElementById('hot-gen'),
     analyzeBtn: document.getElementById('analyze'),
+    problems: document.getElementById('problems'),
+    problemsCount: document.getElementById('problems-count'),
+    problemsList: document.getElementById('problems-list'),
+    findBtn: document.getElementById('find-open'),
+    find: document.getElementById('find'),
+    findQuery: document.getElementById('find-query'),
+    findReplace: document.getElementById('find-replace'),
+    findRegexBtn: document.getElementById('find-regex'),
+    findCaseBtn: document.getElementById('find-case'),
+    findWordBtn: document.getElementById('find-word'),
+    findReplaceAllBtn: document.getElementById('find-replace-all'),
+    findCloseBtn: document.getElementById('find-close'),
+    findSummary: document.getElementById('find-summary'),
+    findResults: document.getElementById('find-results'),
     formatBtn: document.getElementById('format'),
+    shortcutsBtn: document.getElementById('shortcuts'),
+    projectBtn: document.getElementById('project-switch'),
+    dialog: document.getElementById('dialog'),
+    dialogTitle: document.getElementById('dialog-title'),
+    dialogBody: document.getElementById('dialog-body'),
+    dialogActions: document.getElementById('dialog-actions'),
+    snapshotsBtn: document.getElementById('snapshots'),
     exportBtn: document.getElementById('export'),
     importBtn: document.getElementById('import'),
     importInput: document.getElementById('import-input'),
     resetBtn: document.getElementById('reset'),
+    clearCacheBtn: document.getElementById('clear-cache'),
+    storageUsage: document.getElementById('storage-usage'),
     editor: document.getElementById('editor'),
+    highlight: document.getElementById('highlight'),
+    completion: document.getElementById('completion'),
     lineNums: document.getElementById('line-nums'),
+    foldAllBtn: document.getElementById('fold-all'),
+    unfoldAllBtn: document.getElementById('unfold-all'),
     status: document.getElementById('status'),
     preview: document.getElementById('preview'),
     console: document.getElementById('console'),
+    consoleFilters: document.getElementById('console-filters'),
+    consoleSearch: document.getElementById('console-search'),
+    consoleClearBtn: document.getElementById('console-clear'),
+    replInput: document.getElementById('repl-input'),
     filenameTitle: document.getElementById('filename-title'),
+    tabs: document.getElementById('tabs'),
+    splitBtn: document.getElementById('split-toggle'),
+    editorPanes: document.getElementById('editor-panes'),
     drawerToggle: document.getElementById('drawer-toggle')
   };
 
+  // The split view's editor panes. The current pane's elements are the ones
+  // in UI.editor / highlight / lineNums / completion (see usePane()); the
+  // others keep their fold state here and `text`, the full text last shown.
+  const panes = Array.from(document.querySelectorAll('.editor-wrap')).map(wrap => ({
+    wrap,
+    editor: wrap.querySelector('.editor'),
+    highlight: wrap.querySelector('.highlight'),
+    lineNums: wrap.querySelector('.line-nums'),
+    completion: wrap.querySelector('.completion'),
+    folds: [],
+    lastView: '',
+    text: null
+  }));
+  let currentPane = panes[0];
+
   /*** ---------- State & FS ---------- ***/
-  let state = loadState();
-  if (!state || !state.files || Object.keys(state.files).length === 0) {
-    state = { files: { ...DEFAULT_FILES }, active: 'main.dart' };
-    persist();
+  // `state` is the open project. Each project is stored under
+  // PROJECT_KEY_PREFIX + id; the PROJECTS_KEY index lists them as
+  // { id, name, created, opened } and remembers the current one. Key
+  // bindings are shared by all projects and kept under KEYMAP_KEY. All are
+  // read from storage by loadWorkspace() during init (see Storage).
+  // Saving serializes the whole project, so persist() only schedules it:
+  // bursts of edits coalesce into one write. flushPersist() writes now, and
+  // runs when the page is hidden or closed.
+  // An IndexedDB write started on pagehide may never commit, so pagehide
+  // also leaves a synchronous localStorage copy under RESCUE_KEY. The next
+  // save that covers it drops it; otherwise the next load applies it.
+  const PERSIST_DELAY_MS = 500;
+  const RESCUE_KEY = 'dartpad_mini_rescue';
+  let persistTimer = null;
+  let saveSeq = 0;    // flushPersist() calls so far
+  let rescueSeq = 0;  // the save that makes the rescue copy redundant
+  let projects = null;
+  let state = null;
+  let keymap = null;
+  let savedFiles = {};  // as last written, for the tabs' unsaved marks
+
+  // If the IndexedDB store opens but can't be read or adopted into, what
+  // localStorage holds is still intact (adoption only frees it after its
+  // transaction commits), so loading starts over from there.
+  async function loadWorkspace() {
+    try {
+      storage = await openStorage();
+      projects = await loadProjects();
+    } catch (e) {
+      appendConsole('warn', 'IndexedDB を開けないため localStorage に保存します: ' + e.message);
+      storage = localBackend();
+      projects = await loadProjects();
+    }
+    await applyRescue();
+    state = await loadState(projects.current);
+    if (!state) {
+      state = newProjectState();
+      persist();
+    }
+    await loadKeymap();
+    ensureState();
+    savedFiles = { ...state.files };
+  }
+
+  // When stored data can't be read at all, editing starts on the default
+  // state in localStorage. The project is left out of the index, so the
+  // unreadable data is not overwritten.
+  function fallbackWorkspace() {
+    storage = localBackend();
+    const now = Date.now();
+    const entry = { id: projectId(), name: 'プロジェクト 1', created: now, opened: now };
+    projects = { version: 2, current: entry.id, projects: [entry] };
+    state = newProjectState();
+    if (!keymap) keymap = { ...DEFAULT_KEYMAP };
+    ensureState();
+    savedFiles = {};
+  }
+
+  // Creates the index on first run; a v1 install's state becomes the first
+  // project. LS_KEY is only dropped once the copy is stored.
+  async function loadProjects() {
+    const index = await storage.get(PROJECTS_KEY);
+    if (index && Array.isArray(index.projects) && index.projects.length > 0) {
+      if (!index.projects.some(p => p.id === index.current)) index.current = index.projects[0].id;
+      return index;
+    }
+    const now = Date.now();
+    const first = { id: projectId(), name: 'プロジェクト 1', created: now, opened: now };
+    const legacy = await storage.get(LS_KEY);
+    const created = { version: 2, current: first.id, projects: [first] };
+    const moved = (!legacy || await store(PROJECT_KEY_PREFIX + first.id, legacy)) && await store(PROJECTS_KEY, created);
+    if (legacy && moved) await storage.remove(LS_KEY);
+    return created;
+  }
+  function saveProjects() {
+    return store(PROJECTS_KEY, projects);
+  }
+  function projectId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
   }
 
-  function loadState() {
+  async function loadState(id) {
+    return migrateState(await storage.get(PROJECT_KEY_PREFIX + id));
+  }
+  function newProjectState() {
+    return { schema: STATE_SCHEMA, files: { ...DEFAULT_FILES }, active: 'main.dart' };
+  }
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(flushPersist, PERSIST_DELAY_MS);
+  }
+  // Resolves with whether the write stuck. A failed write keeps the tabs'
+  // unsaved marks; store() reports why.
+  async function flushPersist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    const seq = ++saveSeq;
+    const saving = state;
+    const files = { ...state.files };
+    if (!await store(PROJECT_KEY_PREFIX + projects.current, state)) return false;
+    if (rescueSeq && seq >= rescueSeq) {
+      localStorage.removeItem(RESCUE_KEY);
+      rescueSeq = 0;
+    }
+    if (state !== saving) return true;
+    savedFiles = files;
+    renderTabs();
+    renderStorageUsage();
+    autoSnapshot();
+    return true;
+  }
+  function onPageHide() {
+    const unsaved = persistTimer !== null || storageError !== null;
+    if (unsaved && storage.label !== 'localStorage') {
+      try {
+        localStorage.setItem(RESCUE_KEY, JSON.stringify({ project: projects.current, state }));
+        rescueSeq = saveSeq + 1;
+      } catch {
+        // localStorage is full too; the IndexedDB write below is all we have.
+      }
+    }
+    flushPersist();
+  }
+  async function applyRescue() {
+    let rescue = null;
     try {
-      const raw = localStorage.getItem(LS_KEY);
-      return raw ? JSON.parse(raw) : null;
+      rescue = JSON.parse(localStorage.getItem(RESCUE_KEY));
     } catch {
-      return null;
+      // unreadable: dropped below
     }
+    if (rescue && projects.projects.some(p => p.id === rescue.project)
+      && !await store(PROJECT_KEY_PREFIX + rescue.project, rescue.state)) return;
+    localStorage.removeItem(RESCUE_KEY);
   }
-  function persist() {
-    localStorage.setItem(LS_KEY, JSON.stringify(state));
+  function ensureState() {
+    ensureRunConfigs();
+    ensureSettings();
+    ensureLayout();
+  }
+  function ensureRunConfigs() {
+    if (!Array.isArray(state.runConfigs) || state.runConfigs.length === 0) {
+      state.runConfigs = [{ ...DEFAULT_RUN_CONFIG }];
+    }
+    if (!state.runConfigs.some(c => c.name === state.activeConfig)) {
+      state.activeConfig = state.runConfigs[0].name;
+    }
+    // Configs whose entry file was deleted fall back to a file with main().
+    const names = Object.keys(state.files).sort();
+    const fallback = names.find(f => hasMain(state.files[f])) || names[0];
+    state.runConfigs.forEach((c) => {
+      if (!(c.entry in state.files)) c.entry = fallback;
+    });
+  }
+  function ensureSettings() {
+    state.settings = { ...DEFAULT_SETTINGS, ...state.settings };
+    if (!Array.isArray(state.replHistory)) state.replHistory = [];
+    if (!state.undoHistory || typeof state.undoHistory !== 'object') state.undoHistory = {};
+    if (!state.folds || typeof state.folds !== 'object') state.folds = {};
+    if (!Array.isArray(state.folders)) state.folders = [];
+    delete state.keymap;  // global now; see loadKeymap()
+  }
+  // state.layout: { tabs: open files in order, split, panes: [left, right]
+  // files, focus: index of the focused pane, whose file is state.active,
+  // collapsed: folders closed in the file tree }.
+  function ensureLayout() {
+    ensureActiveExists();
+    const layout = state.layout || {};
+    const tabs = (Array.isArray(layout.tabs) ? layout.tabs : []).filter(f => f in state.files);
+    if (!tabs.includes(state.active)) tabs.push(state.active);
+    const shown = (Array.isArray(layout.panes) ? layout.panes : []).map(f => (tabs.includes(f) ? f : state.active));
+    const split = layout.split === true;
+    const focus = split && layout.focus === 1 ? 1 : 0;
+    const collapsed = Array.isArray(layout.collapsed) ? layout.collapsed : [];
+    state.layout = { tabs, split, panes: [shown[0] || state.active, shown[1] || state.active], focus, collapsed };
+    state.layout.panes[focus] = state.active;
+  }
+  function currentRunConfig() {
+    return state.runConfigs.find(c => c.name === state.activeConfig) || state.runConfigs[0];
   }
   function ensureActiveExists() {
     if (!state.files[state.active]) {
@@ -61,236 +296,5730 @@ void main() {
     }
   }
 
+  /*** ---------- Storage ---------- ***/
+  // Projects live in an IndexedDB key-value store; where IndexedDB can't be
+  // opened (private modes, old browsers) localStorage stands in. Both
+  // backends expose async get / set / remove of plain objects. Keys written
+  // to localStorage before IndexedDB was available are moved over once it is.
+  const STORE_DB = 'dartpad_mini_storage';
+  const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;  // typical per-origin limit
+  // Saved project states carry `schema`. STATE_MIGRATIONS[n] upgrades a
+  // state from schema n to n + 1; states saved before schemas existed (the
+  // v1 `{ files, active }` shape plus later optional fields) are schema 1.
+  const STATE_SCHEMA = 2;
+  const STATE_MIGRATIONS = {
+    1: (saved) => {
+      const files = {};
+      Object.entries(saved.files).forEach(([name, text]) => {
+        if (typeof text === 'string') files[name] = text;
+      });
+      return { ...saved, files, schema: 2 };
+    }
+  };
+  let storage = null;
+  let storageError = null;  // message of the last failed write, until one succeeds
+
+  // Returns null for anything that isn't a project with at least one file.
+  function migrateState(saved) {
+    if (!saved || !saved.files || typeof saved.files !== 'object') return null;
+    let migrated = saved;
+    for (let v = saved.schema || 1; v < STATE_SCHEMA; v++) migrated = STATE_MIGRATIONS[v](migrated);
+    return Object.keys(migrated.files).length > 0 ? migrated : null;
+  }
+
+  function localBackend() {
+    return {
+      label: 'localStorage',
+      async get(key) {
+        try {
+          const raw = localStorage.getItem(key);
+          return raw ? JSON.parse(raw) : null;
+        } catch {
+          return null;
+        }
+      },
+      async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+      },
+      async remove(key) {
+        localStorage.removeItem(key);
+      }
+    };
+  }
+
+  function idbBackend(db) {
+    const run = async (mode, fn) => {
+      const tx = db.transaction('kv', mode);
+      const [result] = await Promise.all([idbRequest(fn(tx.objectStore('kv'))), idbDone(tx)]);
+      return result;
+    };
+    return {
+      label: 'IndexedDB',
+      get: key => run('readonly', kv => kv.get(key)).then(v => v ?? null),
+      set: (key, value) => run('readwrite', kv => kv.put(value, key)),
+      remove: key => run('readwrite', kv => kv.delete(key))
+    };
+  }
+
+  async function openStorage() {
+    const db = typeof indexedDB === 'undefined' ? null
+      : await openDB(STORE_DB, 1, (created) => { created.createObjectStore('kv'); }).catch(() => null);
+    if (!db) return localBackend();
+    const backend = idbBackend(db);
+    if (!await backend.get(PROJECTS_KEY)) await adoptLocalStorage(db);
+    return backend;
+  }
+
+  // Copies this app's localStorage keys into a fresh database in one
+  // transaction, then frees them.
+  async function adoptLocalStorage(db) {
+    const keys = Object.keys(localStorage)
+      .filter(k => k === LS_KEY || k === PROJECTS_KEY || k === KEYMAP_KEY || k.startsWith(PROJECT_KEY_PREFIX) || k.startsWith(SNAPSHOT_KEY_PREFIX));
+    if (keys.length === 0) return;
+    const local = localBackend();
+    const values = await Promise.all(keys.map(k => local.get(k)));
+    const tx = db.transaction('kv', 'readwrite');
+    keys.forEach((k, i) => tx.objectStore('kv').put(values[i], k));
+    await idbDone(tx);
+    keys.forEach(k => localStorage.removeItem(k));
+  }
+
+  function isQuotaError(e) {
+    return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+  }
+
+  // Writes through the backend. Failures are reported, not thrown, so a full
+  // disk never breaks editing; the result says whether the write stuck. Old
+  // automatic snapshots are given up first when space runs out.
+  async function store(key, value) {
+    for (;;) {
+      try {
+        await storage.set(key, value);
+        break;
+      } catch (e) {
+        if (isQuotaError(e) && await evictAutoSnapshot()) continue;
+        storageError = isQuotaError(e)
+          ? '保存容量が不足しています。不要なプロジェクトやスナップショット、コンパイルキャッシュを削除してください'
+          : '保存に失敗しました: ' + (e && e.message);
+        setStatus(storageError, true);
+        renderStorageUsage();
+        return false;
+      }
+    }
+    storageError = null;
+    return true;
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    if (n < 1024 ** 3) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+    return `${(n / 1024 ** 3).toFixed(1)} GB`;
+  }
+
+  // localStorage holds UTF-16, two bytes per code unit.
+  function localStorageBytes() {
+    return Object.keys(localStorage).reduce((sum, k) => sum + (k.length + (localStorage.getItem(k) || '').length) * 2, 0);
+  }
+
+  async function renderStorageUsage() {
+    const el = UI.storageUsage;
+    let usage = localStorageBytes();
+    let quota = LOCAL_STORAGE_QUOTA;
+    if (storage && storage.label === 'IndexedDB') {
+      const estimate = navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate().catch(() => null)
+        : null;
+      if (!estimate || !estimate.quota) {
+        usage = null;
+      } else {
+        ({ usage, quota } = estimate);
+      }
+    }
+    const ratio = usage === null ? 0 : usage / quota;
+    el.dataset.kind = storageError ? 'error' : ratio > 0.9 ? 'warn' : 'ok';
+    if (storageError) {
+      el.textContent = '⚠ 保存できません';
+      el.title = storageError;
+    } else {
+      el.textContent = usage === null
+        ? `保存先: ${storage.label}`
+        : `${storage.label}: ${formatBytes(usage)} / ${formatBytes(quota)}`;
+      el.title = ratio > 0.9 ? '保存容量が残りわずかです' : '保存先と使用量';
+    }
+  }
+
   /*** ---------- UI Rendering ---------- ***/
+  // The file tree: folders first, then files, each sorted by name. Rows carry
+  // their path in data-path; dragging a row onto a folder (or onto a file,
+  // meaning its folder, or the empty area, meaning the root) moves it there.
   function renderFileList() {
     UI.fileList.innerHTML = '';
-    Object.keys(state.files).forEach((name) => {
-      const li = document.createElement('button');
-      li.className = 'file-item' + (name === state.active ? ' active' : '');
-      li.textContent = name;
-      li.title = 'クリックで切替 / 長押しでリネーム';
-      li.addEventListener('click', () => setActive(name));
-
-      let pressTimer;
-      li.addEventListener('mousedown', () => {
-        pressTimer = setTimeout(() => promptRename(name), 600);
+    const collapsed = new Set(state.layout.collapsed);
+    const folders = [...allFolders()].sort();
+    const files = Object.keys(state.files).sort();
+    const renderFolder = (dir, depth) => {
+      folders.filter(d => folderOf(d) === dir).forEach((d) => {
+        UI.fileList.appendChild(folderItem(d, depth, collapsed.has(d)));
+        if (!collapsed.has(d)) renderFolder(d, depth + 1);
       });
-      ['mouseup', 'mouseleave'].forEach(ev =>
-        li.addEventListener(ev, () => clearTimeout(pressTimer))
-      );
+      files.filter(f => folderOf(f) === dir).forEach(name => UI.fileList.appendChild(fileItem(name, depth)));
+    };
+    renderFolder('', 0);
+  }
 
-      li.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        promptDelete(name);
+  function onLongPress(el, fn) {
+    let pressTimer;
+    el.addEventListener('mousedown', () => {
+      pressTimer = setTimeout(fn, 600);
+    });
+    ['mouseup', 'mouseleave', 'dragstart'].forEach(ev =>
+      el.addEventListener(ev, () => clearTimeout(pressTimer))
+    );
+  }
+
+  function fileItem(name, depth) {
+    const li = document.createElement('button');
+    li.className = 'file-item' + (name === state.active ? ' active' : '');
+    li.style.setProperty('--depth', depth);
+    li.dataset.path = name;
+    li.draggable = true;
+    li.textContent = baseName(name);
+    li.title = `${name}\nクリックで切替 / 長押しでリネーム・移動`;
+    li.addEventListener('click', () => setActive(name));
+
+    if (hasMain(state.files[name])) {
+      const isEntry = currentRunConfig().entry === name;
+      const badge = document.createElement('span');
+      badge.className = 'entry-badge' + (isEntry ? ' on' : '');
+      badge.textContent = '▶';
+      badge.title = isEntry ? '現在のエントリポイント' : 'エントリポイントに設定';
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setEntryPoint(name);
       });
+      li.appendChild(badge);
+    }
+
+    onLongPress(li, () => promptRename(name));
+    li.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      promptDelete(name);
+    });
+    return li;
+  }
 
-      UI.fileList.appendChild(li);
+  function folderItem(dir, depth, closed) {
+    const li = document.createElement('button');
+    li.className = 'file-item folder-item';
+    li.style.setProperty('--depth', depth);
+    li.dataset.path = dir;
+    li.draggable = true;
+    li.setAttribute('aria-expanded', String(!closed));
+    li.innerHTML = `<span class="folder-caret">${closed ? '▸' : '▾'}</span>${escapeHTML(baseName(dir))}/`;
+    li.title = `${dir}/\nクリックで開閉 / 長押しでリネーム・移動 / 右クリックで削除`;
+    li.addEventListener('click', () => toggleFolder(dir));
+    onLongPress(li, () => promptRenameFolder(dir));
+    li.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      promptDeleteFolder(dir);
     });
+    return li;
+  }
+
+  function toggleFolder(dir) {
+    const { collapsed } = state.layout;
+    state.layout.collapsed = collapsed.includes(dir) ? collapsed.filter(d => d !== dir) : [...collapsed, dir];
+    persist();
+    renderFileList();
+  }
+
+  // Folder a drop lands in: the folder row itself, a file row's folder, or
+  // the root below the rows.
+  function dropFolder(e) {
+    const row = e.target.closest('.file-item');
+    if (!row) return '';
+    return row.classList.contains('folder-item') ? row.dataset.path : folderOf(row.dataset.path);
+  }
+
+  function onFileListDrag(e) {
+    if (e.type === 'dragstart') {
+      const row = e.target.closest('.file-item');
+      if (row) e.dataTransfer.setData('text/x-project-path', row.dataset.path);
+      return;
+    }
+    if (!e.dataTransfer.types.includes('text/x-project-path')) return;
+    e.preventDefault();
+    UI.fileList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    const dir = dropFolder(e);
+    if (e.type === 'dragover') {
+      const target = UI.fileList.querySelector(`.folder-item[data-path="${CSS.escape(dir)}"]`);
+      if (target) target.classList.add('drop-target');
+    } else if (e.type === 'drop') {
+      moveInto(e.dataTransfer.getData('text/x-project-path'), dir);
+    }
   }
 
   function setActive(name) {
     if (!state.files[name]) return;
     state.active = name;
+    openTab(name);
     UI.filenameTitle.textContent = name;
-    UI.editor.value = state.files[name];
-    refreshLineNumbers();
+    renderEditorText();
+    closeCompletion();
+    refreshEditor();
+    renderOutline();
     renderFileList();
+    renderTabs();
     persist();
   }
 
+  // One row per view line in the viewport, numbered by the real (unfolded)
+  // line, with a fold toggle on lines that start a foldable range.
   function refreshLineNumbers() {
-    const lines = UI.editor.value.split('\n').length;
-    UI.lineNums.textContent = Array.from({ length: lines }, (_, i) => i + 1).join('\n');
+    const starts = viewRows();
+    const { first, last } = visibleRows(starts.length);
+    const marks = {};
+    diagnostics.forEach((d) => {
+      if (d.file !== state.active) return;
+      // Errors win over warnings/infos on the same line.
+      if (!marks[d.line] || d.severity === 'error') marks[d.line] = d;
+    });
+    const foldable = foldableLines();
+    const hiddenLines = new Map();  // view row → lines hidden by folds on it
+    let line = first + 1;
+    editorFolds.forEach((f) => {
+      const row = rowOf(starts, f.at);
+      if (row < first) line += f.rows;
+      else if (row <= last) hiddenLines.set(row, (hiddenLines.get(row) || 0) + f.rows);
+    });
+
+    const rows = [];
+    for (let row = first; row <= last; row++) {
+      const d = marks[line];
+      const num = d
+        ? `<span class="gutter-mark ${d.severity}" title="${escapeHTML(d.message)}">${line}</span>`
+        : String(line);
+      let slot = '';
+      if (hiddenLines.has(row)) slot = `<span class="fold-toggle folded" data-line="${line}" title="展開">▸</span>`;
+      else if (foldable.has(line)) slot = `<span class="fold-toggle" data-line="${line}" title="折りたたむ">▾</span>`;
+      rows.push(`${num}<span class="fold-slot">${slot}</span>`);
+      line += 1 + (hiddenLines.get(row) || 0);
+    }
+    renderRows(UI.lineNums, first, last, rows.join('\n'));
+  }
+
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+
+  // Re-renders everything derived from the editor text, then any other pane
+  // whose file changed under it.
+  function refreshEditor() {
+    refreshLineNumbers();
+    renderHighlight();
+    if (currentPane === panes[state.layout.focus]) refreshOtherPanes();
   }
 
   let lnTimer;
-  UI.editor.addEventListener('input', () => {
-    state.files[state.active] = UI.editor.value;
+  function onEditorInput() {
+    const view = UI.editor.value;
+    const edit = textDiff(lastView, view, UI.editor.selectionEnd);
+    updateViewIndex(lastView, view, edit);
+    const full = syncFoldsFromView(edit);
+    moveFoldableLines(edit);
+    recordEdit(state.active, state.files[state.active], full, viewToFull(UI.editor.selectionEnd));
+    state.files[state.active] = full;
+    currentPane.text = full;
     persist();
+    noteTabEdit();
     clearTimeout(lnTimer);
-    lnTimer = setTimeout(refreshLineNumbers, 10);
-  });
-  UI.editor.addEventListener('scroll', () => {
-    UI.lineNums.scrollTop = UI.editor.scrollTop;
-  });
+    lnTimer = setTimeout(refreshEditor, 10);
+  }
+  /*** ---------- Editor viewport ---------- ***/
+  // The gutter and the highlight layer only hold the rows in view plus
+  // VIEWPORT_OVERSCAN on each side, shifted by a transform that follows the
+  // textarea's scroll; scrolling past them renders a new window. viewIndex
+  // holds the row start offsets of the view text and is patched per edit.
+  const VIEWPORT_OVERSCAN = 30;
+  const VIEWPORT_FALLBACK_ROWS = 80;  // when the editor has no layout yet
+  let viewIndex = { text: '', starts: [0] };
+  let cachedLineMetrics = null;
 
-  /*** ---------- File ops ---------- ***/
-  function promptNewFile() {
-    const name = prompt('新しいDartファイル名を入力 (例: utils.dart)');
-    if (!name) return;
-    if (!name.endsWith('.dart')) { alert('拡張子は .dart にしてください'); return; }
-    if (state.files[name]) { alert('同名ファイルが既にあります'); return; }
-    state.files[name] = `// ${name}\n`;
-    persist();
-    setActive(name);
-    renderFileList();
+  function lineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+    return starts;
   }
 
-  function promptRename(oldName) {
-    const name = prompt('新しいファイル名', oldName);
-    if (!name || name === oldName) return;
-    if (!name.endsWith('.dart')) { alert('拡張子は .dart にしてください'); return; }
-    if (state.files[name]) { alert('同名ファイルが既にあります'); return; }
-    state.files[name] = state.files[oldName];
-    delete state.files[oldName];
-    if (state.active === oldName) state.active = name;
-    persist();
-    renderFileList();
-    setActive(state.active);
+  function countNewlines(text) {
+    let n = 0;
+    for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) n++;
+    return n;
   }
 
-  function promptDelete(name) {
-    if (Object.keys(state.files).length === 1) { alert('最低1ファイルは必要です'); return; }
-    if (!confirm(`${name} を削除しますか？`)) return;
-    delete state.files[name];
-    ensureActiveExists();
-    persist();
-    renderFileList();
-    setActive(state.active);
+  // Row start offsets of the textarea text; rebuilt when an edit did not go
+  // through updateViewIndex().
+  function viewRows() {
+    const text = UI.editor.value;
+    if (viewIndex.text !== text) viewIndex = { text, starts: lineStarts(text) };
+    return viewIndex.starts;
   }
 
-  /*** ---------- Compile & Run via dart_sdk_new.js ---------- ***/
-  async function compileAndRun() {
-  setStatus('コンパイル中…');
-  UI.console.textContent = '';
+  // 0-based row containing `offset`.
+  function rowOf(starts, offset) {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
 
-  try {
-    // main.dartのみを実行対象に
-    const mainCode = state.files['main.dart'];
-    if (!mainCode) throw new Error('main.dartが存在しません');
-    const encoder = new TextEncoder();
-    const sourceBytes = encoder.encode(mainCode);
+  // Applies one textDiff() edit of `before` to the index.
+  function updateViewIndex(before, after, { start, removed, inserted }) {
+    if (viewIndex.text !== before) return;
+    const { starts } = viewIndex;
+    const added = [];
+    for (let i = inserted.indexOf('\n'); i >= 0; i = inserted.indexOf('\n', i + 1)) added.push(start + i + 1);
+    if (added.length > 10000) { viewIndex.text = null; return; }  // huge paste: rebuild
+    const at = rowOf(starts, start) + 1;
+    let drop = 0;
+    while (at + drop < starts.length && starts[at + drop] <= start + removed.length) drop++;
+    const shift = inserted.length - removed.length;
+    for (let i = at + drop; i < starts.length; i++) starts[i] += shift;
+    starts.splice(at, drop, ...added);
+    viewIndex.text = after;
+  }
 
-    if (!window.dart || !dart.dart2js) {
-      throw new Error('dart_sdk_new.js が読み込まれていません');
+  // Real (unfolded) 1-based line of view row `row`.
+  function rowToLine(row) {
+    const starts = viewRows();
+    let line = row + 1;
+    for (const f of editorFolds) {
+      if (rowOf(starts, f.at) >= row) break;
+      line += f.rows;
     }
+    return line;
+  }
 
-    // Uint8Array 形式で渡す
-    const js = await dart.dart2js(sourceBytes);
+  function lineMetrics() {
+    if (!cachedLineMetrics) {
+      const cs = getComputedStyle(UI.editor);
+      cachedLineMetrics = {
+        lineHeight: parseFloat(cs.lineHeight) || 20,
+        paddingTop: parseFloat(cs.paddingTop) || 0
+      };
+    }
+    return cachedLineMetrics;
+  }
 
-    if (!js) throw new Error('コンパイル結果が空です');
+  // Rows [first, last] (0-based) to render for the current scroll position.
+  function visibleRows(count, overscan = VIEWPORT_OVERSCAN) {
+    const { lineHeight, paddingTop } = lineMetrics();
+    const top = Math.max(0, Math.floor((UI.editor.scrollTop - paddingTop) / lineHeight));
+    const height = UI.editor.clientHeight ? Math.ceil(UI.editor.clientHeight / lineHeight) : VIEWPORT_FALLBACK_ROWS;
+    return {
+      first: Math.max(0, Math.min(top, count - 1) - overscan),
+      last: Math.min(count - 1, top + height + overscan)
+    };
+  }
 
-    setStatus('実行中…');
-    runInIframe(js);
-    setStatus('完了');
-  } catch (e) {
-    setStatus('コンパイル失敗: ' + e.message, true);
-    appendConsole('error', e.stack || String(e));
-    UI.console.appendChild(Object.assign(document.createElement('div'), {
-      className: 'log error',
-      textContent: '[error] ' + (e.message || e)
-    }));
+  // Puts the HTML for rows [first, last] into a gutter/highlight <pre>.
+  function renderRows(el, first, last, html) {
+    el.innerHTML = `<div class="viewport-rows">${html}</div>`;
+    el.dataset.first = first;
+    el.dataset.last = last;
+    alignRows(el);
   }
-}
 
-  function runInIframe(compiledJS) {
-    const prelude = `
-      (function(){
-        const send=(level,msg)=>parent.postMessage({type:'console',level:level,text:String(msg)},'*');
-        ['log','info','warn','error'].forEach(k=>{
-          const orig=console[k].bind(console);
-          console[k]=function(){ send(k,[...arguments].join(' ')); orig.apply(console,arguments); };
-        });
-        window.onerror=function(msg,src,line,col,err){ send('error', msg+' @'+line+':'+col); };
-      })();
-    `;
-    const html = `<!doctype html>
-<html>
-  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
-  <body style="margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,'Noto Sans JP',sans-serif;">
-    <div id="app" style="padding:12px"></div>
-    <script>${prelude}<\/script>
-    <script>${compiledJS}<\/script>
-  </body>
-</html>`;
-    UI.preview.src = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  function alignRows(el) {
+    const rows = el.firstElementChild;
+    if (!rows) return;
+    const x = el === UI.highlight ? UI.editor.scrollLeft : 0;
+    const y = Number(el.dataset.first) * lineMetrics().lineHeight - UI.editor.scrollTop;
+    rows.style.transform = `translate(${-x}px, ${y}px)`;
   }
 
-  window.addEventListener('message', (e) => {
-    if (!e?.data) return;
-    if (e.data.type === 'console') appendConsole(e.data.level || 'log', e.data.text);
-  });
+  function onEditorScroll() {
+    const { first, last } = visibleRows(viewRows().length, 0);
+    const stale = [UI.lineNums, UI.highlight].some(el => (
+      !el.firstElementChild || first < Number(el.dataset.first) || last > Number(el.dataset.last)
+    ));
+    if (stale) {
+      refreshEditor();
+    } else {
+      alignRows(UI.lineNums);
+      alignRows(UI.highlight);
+    }
+  }
 
-  function appendConsole(level, text) {
-    const line = document.createElement('div');
-    line.className = `log ${level}`;
-    line.textContent = `[${level}] ${text}`;
-    UI.console.appendChild(line);
-    UI.console.scrollTop = UI.console.scrollHeight;
+  function onEditorResize() {
+    cachedLineMetrics = null;
+    refreshEditor();
   }
 
-  /*** ---------- Status ---------- ***/
-  let statusTimer;
-  function setStatus(msg, isError = false) {
-    UI.status.textContent = msg;
-    UI.status.dataset.kind = isError ? 'error' : 'ok';
-    clearTimeout(statusTimer);
-    if (!isError) statusTimer = setTimeout(() => (UI.status.textContent = ''), 3000);
+  /*** ---------- Dart tokenizer & highlighting ---------- ***/
+  // The textarea stays the real input (typing, IME, mobile keyboards, the
+  // input → state.files contract); it is drawn transparent over #highlight,
+  // which renders the same text as tokens.
+  const DART_KEYWORDS = new Set([
+    'abstract', 'as', 'assert', 'async', 'await', 'base', 'break', 'case', 'catch', 'class', 'const',
+    'continue', 'covariant', 'default', 'deferred', 'do', 'else', 'enum', 'export', 'extends',
+    'extension', 'external', 'factory', 'false', 'final', 'finally', 'for', 'get', 'hide', 'if',
+    'implements', 'import', 'in', 'interface', 'is', 'late', 'library', 'mixin', 'new', 'null', 'of',
+    'on', 'operator', 'part', 'required', 'rethrow', 'return', 'sealed', 'set', 'show', 'static',
+    'super', 'switch', 'sync', 'this', 'throw', 'true', 'try', 'type', 'typedef', 'var', 'when',
+    'while', 'with', 'yield'
+  ]);
+  const DART_BUILTIN_TYPES = new Set([
+    'bool', 'double', 'dynamic', 'int', 'num', 'void', 'Never', 'Null', 'Object', 'String',
+    'Function', 'Record', 'Symbol', 'Type'
+  ]);
+  const NUMBER_RE = /^(?:0[xX][0-9a-fA-F_]+|(?:\d[\d_]*(?:\.\d[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/;
+  const IDENT_RE = /^[A-Za-z_$][\w$]*/;
+  const INTERP_IDENT_RE = /^[A-Za-z_]\w*/;  // `$name` in a string: no `$` in name
+
+  // Splits Dart source into { type, text } tokens that cover it exactly.
+  // Types: keyword, type, fn, ident, number, string, interp, comment, doc,
+  // annotation, punct, space. String interpolation nests: `${` switches back
+  // to code until its matching `}`.
+  // `scan` resumes at a token boundary: tokenizing starts at `from` in
+  // `state` (as recorded in a cut) and stops at the first boundary at or after
+  // `to`. Given `cuts`, a { at, count, state } is appended about every
+  // TOKEN_SEGMENT_CHARS, `count` being the number of tokens before `at`.
+  function tokenizeDart(src, scan = {}) {
+    const { from = 0, to = src.length, state = null, cuts = null } = scan;
+    const tokens = [];
+    const push = (type, text) => { if (text) tokens.push({ type, text }); };
+    const copy = list => list.map(x => ({ ...x }));
+    const interp = state ? copy(state.interp) : [];  // saved string states, each with the code brace depth
+    let str = state ? state.str : null;              // { quote, triple, raw } while inside a string
+    let i = from;
+    let nextCut = from + TOKEN_SEGMENT_CHARS;
+
+    while (i < to) {
+      if (cuts && i >= nextCut) {
+        cuts.push({ at: i, count: tokens.length, state: { str, interp: copy(interp) } });
+        nextCut = i + TOKEN_SEGMENT_CHARS;
+      }
+      if (str) {
+        let j = i;
+        let closed = false;
+        while (j < src.length) {
+          const c = src[j];
+          if (!str.raw && c === '\\') { j += 2; continue; }
+          if (str.triple ? src.startsWith(str.quote.repeat(3), j) : c === str.quote) {
+            j += str.triple ? 3 : 1;
+            closed = true;
+            break;
+          }
+          if (!str.triple && c === '\n') break;
+          if (!str.raw && c === '$') {
+            if (src[j + 1] === '{') break;
+            if (INTERP_IDENT_RE.test(src.slice(j + 1))) break;
+          }
+          j++;
+        }
+        push('string', src.slice(i, j));
+        i = j;
+        if (closed || i >= src.length || src[i] === '\n') { str = null; continue; }
+        // Interpolation.
+        if (src[i + 1] === '{') {
+          push('interp', '${');
+          interp.push({ str, depth: 0 });
+          str = null;
+          i += 2;
+        } else {
+          const id = INTERP_IDENT_RE.exec(src.slice(i + 1))[0];
+          push('interp', '$' + id);
+          i += 1 + id.length;
+        }
+        continue;
+      }
+
+      const rest = src.slice(i, i + 400);
+      const c = src[i];
+      let m;
+      if ((m = /^\s+/.exec(rest))) { push('space', m[0]); i += m[0].length; continue; }
+      if (src.startsWith('//', i)) {
+        let end = src.indexOf('\n', i);
+        if (end < 0) end = src.length;
+        push(src.startsWith('///', i) ? 'doc' : 'comment', src.slice(i, end));
+        i = end;
+        continue;
+      }
+      if (src.startsWith('/*', i)) {
+        let depth = 0;
+        let j = i;
+        while (j < src.length) {
+          if (src.startsWith('/*', j)) { depth++; j += 2; }
+          else if (src.startsWith('*/', j)) { depth--; j += 2; if (!depth) break; }
+          else j++;
+        }
+        push(src.startsWith('/**', i) ? 'doc' : 'comment', src.slice(i, j));
+        i = j;
+        continue;
+      }
+      if ((m = /^r?('''|"""|'|")/.exec(rest))) {
+        const raw = m[0][0] === 'r';
+        str = { quote: m[1][0], triple: m[1].length === 3, raw };
+        push('string', m[0]);
+        i += m[0].length;
+        continue;
+      }
+      if (c === '@' && (m = /^@[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/.exec(rest))) {
+        push('annotation', m[0]);
+        i += m[0].length;
+        continue;
+      }
+      if ((m = NUMBER_RE.exec(rest)) && !/[\w$]/.test(src[i - 1] || '')) {
+        push('number', m[0]);
+        i += m[0].length;
+        continue;
+      }
+      if ((m = IDENT_RE.exec(rest))) {
+        const word = m[0];
+        let type = 'ident';
+        if (DART_KEYWORDS.has(word)) type = 'keyword';
+        else if (DART_BUILTIN_TYPES.has(word) || /^_?[A-Z]/.test(word)) type = 'type';
+        else if (/^\s*(?:<[^<>()]*>)?\s*\(/.test(src.slice(i + word.length, i + word.length + 80))) type = 'fn';
+        push(type, word);
+        i += word.length;
+        continue;
+      }
+      if (interp.length && (c === '{' || c === '}')) {
+        const top = interp[interp.length - 1];
+        if (c === '}' && top.depth === 0) {
+          push('interp', '}');
+          str = interp.pop().str;
+          i++;
+          continue;
+        }
+        top.depth += c === '{' ? 1 : -1;
+      }
+      push('punct', c);
+      i++;
+    }
+    return tokens;
   }
 
-  /*** ---------- Import / Export / Reset ---------- ***/
-  function exportProject() {
-    const data = { files: state.files, active: state.active, ts: Date.now() };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'dartpad-mini-project.json';
-    a.click();
-    URL.revokeObjectURL(url);
+  // Highlighting and fold scanning reuse tokens across edits. A text's tokens
+  // are kept in segments of about TOKEN_SEGMENT_CHARS, each with the
+  // tokenizer state at its start. When the text changes, the segments ending
+  // TOKEN_LOOKAHEAD (the furthest a token peeks ahead) before the first
+  // difference stay, and tokenizing resumes from there, only as far as the
+  // caller needs. A few texts are tracked at once for split panes and the
+  // folded view next to the full file.
+  const TOKEN_SEGMENT_CHARS = 2000;
+  const TOKEN_LOOKAHEAD = 400;
+  const TOKEN_TEXTS_MAX = 4;
+  let tokenTexts = [];  // { src, end, segments: [{ at, state, tokens }] }, most recent first
+
+  function commonPrefixLength(a, b) {
+    const n = Math.min(a.length, b.length);
+    let p = 0;
+    while (p + 1024 <= n && a.slice(p, p + 1024) === b.slice(p, p + 1024)) p += 1024;
+    while (p < n && a[p] === b[p]) p++;
+    return p;
   }
 
-  function importProject(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const obj = JSON.parse(reader.result);
-        if (!obj.files || typeof obj.files !== 'object') throw new Error('不正な形式');
-        state.files = obj.files;
-        state.active = obj.active || 'main.dart';
-        persist();
-        renderFileList();
-        setActive(state.active);
-        setStatus('インポート完了');
-      } catch (e) {
-        setStatus('インポート失敗: ' + e.message, true);
+  function tokenText(src) {
+    let best = null;
+    let bestPrefix = -1;
+    tokenTexts.forEach((entry) => {
+      const prefix = entry.src === src ? src.length : commonPrefixLength(entry.src, src);
+      if (prefix > bestPrefix) { best = entry; bestPrefix = prefix; }
+    });
+    if (!best || (bestPrefix < TOKEN_LOOKAHEAD && tokenTexts.length < TOKEN_TEXTS_MAX)) {
+      best = { src, end: 0, segments: [{ at: 0, state: null, tokens: [] }] };
+    } else if (best.src !== src) {
+      const keep = bestPrefix - TOKEN_LOOKAHEAD;
+      best.segments = best.segments.filter(seg => seg.at === 0 || seg.at <= keep);
+      const last = best.segments[best.segments.length - 1];
+      last.tokens = [];
+      best.end = last.at;
+      best.src = src;
+    }
+    tokenTexts = [best, ...tokenTexts.filter(x => x !== best)].slice(0, TOKEN_TEXTS_MAX);
+    return best;
+  }
+
+  // Tokenizes from the start of the last segment until `to`, splitting the
+  // new tokens into segments.
+  function extendTokens(entry, to) {
+    const last = entry.segments.pop();
+    const cuts = [];
+    const tokens = tokenizeDart(entry.src, { from: last.at, to, state: last.state, cuts });
+    let seg = { at: last.at, state: last.state, count: 0 };
+    cuts.forEach((cut) => {
+      entry.segments.push({ at: seg.at, state: seg.state, tokens: tokens.slice(seg.count, cut.count) });
+      seg = cut;
+    });
+    const tail = tokens.slice(seg.count);
+    entry.segments.push({ at: seg.at, state: seg.state, tokens: tail });
+    entry.end = tail.reduce((pos, t) => pos + t.text.length, seg.at);
+  }
+
+  // Tokens covering at least src.slice(from, to), and the offset of the first.
+  function tokensBetween(src, from, to) {
+    const entry = tokenText(src);
+    if (entry.end < Math.min(to, src.length)) extendTokens(entry, to);
+    let k = entry.segments.length - 1;
+    while (k > 0 && entry.segments[k].at > from) k--;
+    const start = entry.segments[k].at;
+    const tokens = [];
+    for (; k < entry.segments.length && entry.segments[k].at < Math.max(to, from + 1); k++) {
+      tokens.push(...entry.segments[k].tokens);
+    }
+    return { start, tokens };
+  }
+
+  // The cached segment of `src` that starts last before `offset` (or at 0),
+  // to resume tokenizing from.
+  function segmentBefore(src, offset) {
+    const entry = tokenText(src);
+    if (entry.end < offset) extendTokens(entry, offset);
+    let k = entry.segments.length - 1;
+    while (k > 0 && entry.segments[k].at >= offset) k--;
+    return entry.segments[k];
+  }
+
+  // True when `offset` is in code rather than inside a string or comment: a
+  // sentinel identifier placed there only tokenizes as code in code. Only the
+  // text after the segment before `offset` is tokenized again.
+  function isCodeAt(src, offset) {
+    const { at, state } = segmentBefore(src, offset);
+    const toks = tokenizeDart(src.slice(0, offset) + 'a', { from: at, state });
+    return ['ident', 'keyword', 'type', 'fn'].includes(toks[toks.length - 1].type);
+  }
+
+  // Offsets of the bracket touching `caret` (before it, else after it) and
+  // its partner; empty when there is none or it is unbalanced. Only `tokens`
+  // (starting at offset `start`) are searched, so a partner outside them
+  // counts as missing.
+  function matchingBrackets(tokens, start, caret) {
+    const offsets = [];
+    let pos = start;
+    tokens.forEach((t) => { offsets.push(pos); pos += t.text.length; });
+    const partnerOf = (k) => {
+      if (k < 0 || tokens[k].type !== 'punct' || !'()[]{}'.includes(tokens[k].text)) return -1;
+      const dir = '([{'.includes(tokens[k].text) ? 1 : -1;
+      const [opens, closes] = dir > 0 ? ['([{', ')]}'] : [')]}', '([{'];
+      let depth = 0;
+      for (let j = k + dir; j >= 0 && j < tokens.length; j += dir) {
+        const { type, text } = tokens[j];
+        if (type !== 'punct') continue;
+        if (opens.includes(text)) depth++;
+        else if (closes.includes(text) && depth-- === 0) {
+          return closes.indexOf(text) === opens.indexOf(tokens[k].text) ? j : -1;
+        }
       }
+      return -1;
     };
-    reader.readAsText(file);
+    for (const at of [caret - 1, caret]) {
+      const k = offsets.indexOf(at);
+      const partner = partnerOf(k);
+      if (partner >= 0) return new Set([at, offsets[partner]]);
+    }
+    return new Set();
   }
 
-  function hardReset() {
-    if (!confirm('すべて初期化しますか？（元に戻せません）')) return;
-    state = { files: { ...DEFAULT_FILES }, active: 'main.dart' };
-    persist();
-    renderFileList();
-    setActive('main.dart');
-    setStatus('初期化しました');
+  // HTML for src.slice(from, to). `folds` are offsets of fold markers, which
+  // may sit inside a comment token.
+  function highlightDart(src, caret = -1, folds = [], from = 0, to = src.length) {
+    const { start, tokens } = tokensBetween(src, from, to);
+    const brackets = caret < 0 ? new Set() : matchingBrackets(tokens, start, caret);
+    const wrap = (type, text) => (
+      !text || type === 'space' || type === 'ident' || type === 'punct'
+        ? escapeHTML(text)
+        : `<span class="tok-${type}">${escapeHTML(text)}</span>`
+    );
+    let html = '';
+    let pos = start;
+    let f = 0;
+    while (f < folds.length && folds[f] < from) f++;
+    for (const { type, text } of tokens) {
+      const at = pos;
+      pos += text.length;
+      if (pos <= from) continue;
+      if (at >= to) break;
+      if (brackets.has(at)) {
+        html += `<span class="bracket-match">${escapeHTML(text)}</span>`;
+        continue;
+      }
+      const end = Math.min(pos, to);
+      let i = Math.max(at, from);
+      for (; f < folds.length && folds[f] < end; f++) {
+        html += wrap(type, src.slice(i, folds[f])) + `<span class="fold-mark">${escapeHTML(FOLD_MARK)}</span>`;
+        i = folds[f] + FOLD_MARK.length;
+      }
+      html += wrap(type, src.slice(i, end));
+    }
+    return html;
   }
 
-  /*** ---------- Event wiring ---------- ***/
-  UI.addFileBtn.addEventListener('click', promptNewFile);
-  UI.runBtn.addEventListener('click', compileAndRun);
-  UI.exportBtn.addEventListener('click', exportProject);
-  UI.importBtn.addEventListener('click', () => UI.importInput.click());
-  UI.importInput.addEventListener('change', () => {
-    if (UI.importInput.files && UI.importInput.files[0]) {
-      importProject(UI.importInput.files[0]);
-      UI.importInput.value = '';
+  // Highlights the viewport rows only, tokenizing no further than their end.
+  function renderHighlight() {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    const caret = s === e && document.activeElement === UI.editor ? s : -1;
+    const starts = viewRows();
+    const { first, last } = visibleRows(starts.length);
+    const to = last + 1 < starts.length ? starts[last + 1] - 1 : value.length;
+    const html = highlightDart(value, caret, editorFolds.map(f => f.at), starts[first], to);
+    // The trailing newline keeps the last (possibly empty) line measurable.
+    renderRows(UI.highlight, first, last, html + '\n');
+  }
+
+  /*** ---------- Code folding ---------- ***/
+  // The textarea shows a *view* of the active file: each folded range is
+  // replaced by a single FOLD_MARK, and its text is kept in editorFolds
+  // ({ at: view offset, hidden, rows: newlines in hidden, line: 1-based
+  // header line }). Input maps the view back to the full text (markers move
+  // with edits; deleting a marker deletes its hidden text), so state.files
+  // always holds the whole file. state.folds[file] lists the folded header
+  // lines.
+  const FOLD_MARK = '…';
+  const FOLD_SCAN_MS = 300;
+  let editorFolds = [];
+  let lastView = '';
+  // Header lines of the active file's foldable ranges, for the gutter. After
+  // an edit they are shifted in place and rescanned once typing pauses.
+  let foldable = { file: null, text: null, lines: new Set() };
+  let foldScanTimer;
+
+  // Foldable ranges by header line: { line, start, end } hides
+  // text.slice(start, end): a brace block's or block comment's inside
+  // (`{…}`, `/*…*/`), or a `///` run after its first line.
+  function foldRanges(text) {
+    // Unfolded, the text is the editor's, whose row index is already built.
+    const starts = text === viewIndex.text ? viewIndex.starts : lineStarts(text);
+    const lineOf = offset => rowOf(starts, offset) + 1;
+    const lineEnd = line => (line < starts.length ? starts[line] - 1 : text.length);
+    const ranges = new Map();
+    // Only multi-line ranges fold; the outermost wins on a shared line.
+    const add = (line, start, end) => {
+      if (lineOf(end) === line) return;
+      const prev = ranges.get(line);
+      if (!prev || prev.end < end) ranges.set(line, { line, start, end });
+    };
+
+    const stack = [];
+    let docRun = null;
+    let pos = 0;
+    tokensBetween(text, 0, text.length).tokens.forEach(({ type, text: tok }) => {
+      const at = pos;
+      pos += tok.length;
+      if (type === 'punct' && tok === '{') {
+        stack.push(at);
+      } else if (type === 'punct' && tok === '}' && stack.length) {
+        const open = stack.pop();
+        add(lineOf(open), open + 1, at);
+      } else if ((type === 'comment' || type === 'doc') && tok.startsWith('/*')) {
+        add(lineOf(at), at + (tok.startsWith('/**') ? 3 : 2), tok.endsWith('*/') ? pos - 2 : pos);
+      } else if (type === 'doc' && tok.startsWith('///')) {
+        const line = lineOf(at);
+        if (docRun && docRun.last === line - 1) docRun.last = line;
+        else docRun = { first: line, last: line };
+        add(docRun.first, lineEnd(docRun.first), pos);
+      }
+    });
+    return ranges;
+  }
+
+  // Rebuilds the textarea from state.files, folding the remembered lines.
+  function renderEditorText() {
+    const full = state.files[state.active];
+    const wanted = new Set(state.folds[state.active] || []);
+    const all = foldRanges(full);
+    foldable = { file: state.active, text: full, lines: new Set(all.keys()) };
+    const ranges = [...all.values()].filter(r => wanted.has(r.line)).sort((a, b) => a.start - b.start);
+    editorFolds = [];
+    let view = '';
+    let pos = 0;
+    ranges.forEach((r) => {
+      if (r.start < pos) return;  // nested inside a fold already taken
+      view += full.slice(pos, r.start);
+      const hidden = full.slice(r.start, r.end);
+      editorFolds.push({ at: view.length, hidden, rows: countNewlines(hidden), line: r.line });
+      view += FOLD_MARK;
+      pos = r.end;
+    });
+    view += full.slice(pos);
+    state.folds[state.active] = editorFolds.map(f => f.line);
+    UI.editor.value = view;
+    lastView = view;
+    currentPane.text = full;
+  }
+
+  function viewToFull(offset) {
+    let delta = 0;
+    editorFolds.forEach((f) => { if (f.at < offset) delta += f.hidden.length - FOLD_MARK.length; });
+    return offset + delta;
+  }
+
+  // Offsets inside a fold map to its marker.
+  function fullToView(offset) {
+    let delta = 0;
+    for (const f of editorFolds) {
+      const start = f.at + delta;
+      if (offset <= start) break;
+      if (offset < start + f.hidden.length) return f.at;
+      delta += f.hidden.length - FOLD_MARK.length;
     }
-  });
-  UI.resetBtn.addEventListener('click', hardReset);
-  UI.drawerToggle.addEventListener('click', () => {
-    document.body.classList.toggle('drawer-open');
-  });
+    return offset - delta;
+  }
 
-  // Disable analyze / format (SDK だけでは未対応)
-  UI.analyzeBtn.disabled = true;
-  UI.formatBtn.disabled = true;
+  function expandView(view) {
+    let out = '';
+    let pos = 0;
+    editorFolds.forEach((f) => {
+      out += view.slice(pos, f.at) + f.hidden;
+      pos = f.at + FOLD_MARK.length;
+    });
+    return out + view.slice(pos);
+  }
 
-  // Initial render
-  renderFileList();
-  setActive(state.active);
-  refreshLineNumbers();
-  setStatus('準備OK');
+  // Moves the markers along with `edit` (the textDiff() from lastView to the
+  // current view) and returns the full text.
+  function syncFoldsFromView({ start, removed, inserted }) {
+    const view = UI.editor.value;
+    if (editorFolds.length) {
+      const shift = inserted.length - removed.length;
+      editorFolds = editorFolds
+        .filter(f => f.at < start || f.at >= start + removed.length)
+        .map(f => (f.at >= start + removed.length ? { ...f, at: f.at + shift } : f));
+    }
+    lastView = view;
+    const full = expandView(view);
+    if (editorFolds.length || (state.folds[state.active] || []).length) {
+      const starts = viewRows();
+      let hidden = 0;
+      editorFolds.forEach((f) => {
+        f.line = rowOf(starts, f.at) + 1 + hidden;
+        hidden += f.rows;
+      });
+      state.folds[state.active] = editorFolds.map(f => f.line);
+    }
+    return full;
+  }
+
+  function scanFoldable() {
+    const text = state.files[state.active];
+    foldable = { file: state.active, text, lines: new Set(foldRanges(text).keys()) };
+  }
+
+  function foldableLines() {
+    if (foldable.file !== state.active) {
+      scanFoldable();
+    } else if (foldable.text !== state.files[state.active]) {
+      clearTimeout(foldScanTimer);
+      foldScanTimer = setTimeout(() => {
+        scanFoldable();
+        refreshLineNumbers();
+      }, FOLD_SCAN_MS);
+    }
+    return foldable.lines;
+  }
+
+  // Keeps the gutter's fold toggles on their lines until the next rescan.
+  function moveFoldableLines({ start, removed, inserted }) {
+    const delta = countNewlines(inserted) - countNewlines(removed);
+    if (!delta || foldable.file !== state.active) return;
+    const starts = viewRows();
+    const row = rowOf(starts, start);
+    // Text inserted at the start of a line pushes that line down too.
+    const line = rowToLine(row) - (start === starts[row] ? 1 : 0);
+    const gone = line + countNewlines(removed);
+    foldable.lines = new Set([...foldable.lines]
+      .filter(l => l <= line || l > gone)
+      .map(l => (l > line ? l + delta : l)));
+  }
+
+  // Re-renders the view keeping the selection, in full-text coordinates.
+  function refoldEditor(lines) {
+    const selStart = viewToFull(UI.editor.selectionStart);
+    const selEnd = viewToFull(UI.editor.selectionEnd);
+    state.folds[state.active] = lines;
+    renderEditorText();
+    UI.editor.setSelectionRange(fullToView(selStart), fullToView(selEnd));
+    refreshEditor();
+    persist();
+  }
+
+  function toggleFold(line) {
+    const lines = state.folds[state.active] || [];
+    refoldEditor(lines.includes(line) ? lines.filter(l => l !== line) : [...lines, line]);
+  }
+
+  function foldAll() {
+    refoldEditor([...foldRanges(state.files[state.active]).keys()]);
+  }
+
+  function unfoldAll() {
+    refoldEditor([]);
+  }
+
+  // Opens any fold hiding part of [from, to] (full-text offsets).
+  function unfoldRange(from, to = from) {
+    let delta = 0;
+    const open = new Set();
+    editorFolds.forEach((f) => {
+      const start = f.at + delta;
+      if (start < to && start + f.hidden.length > from) open.add(f.line);
+      delta += f.hidden.length - FOLD_MARK.length;
+    });
+    if (open.size) refoldEditor(editorFolds.map(f => f.line).filter(l => !open.has(l)));
+  }
+
+  // Copying folded text copies what it stands for.
+  function onFoldClipboard(e) {
+    if (!editorFolds.length) return;
+    const { selectionStart: s, selectionEnd: end } = UI.editor;
+    if (s === end) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', state.files[state.active].slice(viewToFull(s), viewToFull(end)));
+    if (e.type === 'cut') replaceEditorRange(s, end, '');
+  }
+
+  function onGutterClick(e) {
+    const toggle = e.target.closest('.fold-toggle');
+    if (toggle) toggleFold(Number(toggle.dataset.line));
+  }
+
+  /*** ---------- Dart declaration index ---------- ***/
+  // A token-level scanner for top-level declarations and class members. It
+  // does not parse expressions: function bodies are skipped by brace depth,
+  // and inside declaration scopes a statement is classified by its shape.
+  // Results: { name, kind, signature, container, offset, line, column } where kind is
+  // class | mixin | enum | extension | typedef | function | getter | setter |
+  // variable | method | field | constructor | enumValue.
+  const TYPE_DECL_KEYWORDS = new Set(['class', 'mixin', 'enum', 'extension', 'typedef']);
+  // Keywords that can never be identifiers; the rest (get, on, of, ...) can.
+  const DART_RESERVED = new Set([
+    'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+    'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return',
+    'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+  ]);
+  const declarationCache = new Map();
+
+  function scanDeclarations(source) {
+    const toks = [];
+    let pos = 0;
+    tokensBetween(source, 0, source.length).tokens.forEach((t) => {
+      if (t.type !== 'space' && t.type !== 'comment' && t.type !== 'doc') toks.push({ ...t, offset: pos });
+      pos += t.text.length;
+    });
+
+    const decls = [];
+    const starts = lineStarts(source);
+    const add = (name, kind, signature, offset, container) => {
+      const row = rowOf(starts, offset);
+      decls.push({ name, kind, signature: signature.replace(/\s+/g, ' ').trim(), container: container || '',
+        offset, line: row + 1, column: offset - starts[row] + 1 });
+    };
+    const text = (from, to) => (to > from ? source.slice(toks[from].offset, toks[to - 1].offset + toks[to - 1].text.length) : '');
+    const isName = t => t && (t.type === 'ident' || t.type === 'fn' || t.type === 'type' ||
+      (t.type === 'keyword' && !DART_RESERVED.has(t.text)));
+    const isOpen = t => t.type === 'punct' && (t.text === '(' || t.text === '[' || t.text === '{');
+
+    // Skips from an opening bracket to just past its match.
+    const skipBlock = (i) => {
+      const open = toks[i].text;
+      const close = { '(': ')', '[': ']', '{': '}' }[open];
+      let depth = 0;
+      for (; i < toks.length; i++) {
+        if (toks[i].type !== 'punct') continue;
+        if (toks[i].text === open) depth++;
+        else if (toks[i].text === close && --depth === 0) return i + 1;
+      }
+      return toks.length;
+    };
+
+    // Scans statements from i until the closing '}' of the scope (or EOF).
+    const scanScope = (i, container) => {
+      let enumValues = container && container.kind === 'enum';
+      while (i < toks.length) {
+        const t = toks[i];
+        if (t.type === 'punct' && t.text === '}') {
+          if (container) return i + 1;
+          i++;
+          continue;
+        }
+        if (t.type === 'punct' && (t.text === ';' || t.text === ',')) {
+          if (t.text === ';') enumValues = false;
+          i++;
+          continue;
+        }
+        while (toks[i] && toks[i].type === 'annotation') {
+          i++;
+          if (toks[i] && toks[i].type === 'punct' && toks[i].text === '(') i = skipBlock(i);
+        }
+        if (i >= toks.length) break;
+        const start = i;
+
+        if (enumValues && isName(toks[i])) {
+          add(toks[i].text, 'enumValue', `${container.name}.${toks[i].text}`, toks[i].offset, container.name);
+          i++;
+          if (toks[i] && toks[i].text === '(') i = skipBlock(i);
+          continue;
+        }
+
+        // Type declarations: class / mixin / enum / extension / typedef.
+        const kwIndex = toks.slice(i, i + 6).findIndex(x => x.type === 'keyword' && TYPE_DECL_KEYWORDS.has(x.text));
+        if (!container && kwIndex >= 0 && toks.slice(i, i + kwIndex).every(x => x.type === 'keyword')) {
+          const kw = toks[i + kwIndex].text;
+          let j = i + kwIndex + 1;
+          if (kw === 'mixin' && toks[j] && toks[j].text === 'class') j++;
+          const nameTok = isName(toks[j]) ? toks[j] : null;
+          let k = j;
+          while (k < toks.length && !(toks[k].type === 'punct' && (toks[k].text === '{' || toks[k].text === ';'))) {
+            k = toks[k].type === 'punct' && toks[k].text === '(' ? skipBlock(k) : k + 1;
+          }
+          const kind = kw === 'mixin' && toks[i + kwIndex + 1].text === 'class' ? 'class' : kw;
+          if (nameTok && !(kw === 'extension' && nameTok.text === 'on')) {
+            add(nameTok.text, kind, text(start, k), nameTok.offset);
+          }
+          if (toks[k] && toks[k].text === '{') {
+            i = scanScope(k + 1, nameTok ? { name: nameTok.text, kind } : { name: '', kind });
+          } else {
+            i = k + 1;
+          }
+          continue;
+        }
+
+        // Member / top-level statement: find its terminator at depth 0.
+        // `eq` is the first `=` (an initializer), `paren` the first `(` before
+        // it (a parameter list), `body` whether `{` or `=>` ends the header.
+        let j = i;
+        let eq = -1;
+        let paren = -1;
+        let body = false;
+        while (j < toks.length) {
+          const x = toks[j];
+          if (x.type === 'punct' && (x.text === ';' || x.text === '}')) break;
+          if (x.type === 'punct' && x.text === '{') { body = eq < 0; break; }
+          if (x.type === 'punct' && x.text === '=' && toks[j + 1] && toks[j + 1].text === '>' && eq < 0) {
+            if (paren < 0) { body = true; break; }
+            j += 2;
+            continue;
+          }
+          if (x.type === 'punct' && x.text === '=' && eq < 0 && paren < 0) eq = j;
+          if (x.type === 'punct' && (x.text === '(' || x.text === '[')) {
+            if (x.text === '(' && paren < 0 && eq < 0) paren = j;
+            j = skipBlock(j);
+            continue;
+          }
+          j++;
+        }
+
+        // Step back over type parameters: `T pick<T>(...)`.
+        let nameIdx = paren - 1;
+        if (paren >= 0 && toks[nameIdx].text === '>') {
+          for (let angle = 0; nameIdx > i; nameIdx--) {
+            if (toks[nameIdx].text === '>') angle++;
+            else if (toks[nameIdx].text === '<' && --angle === 0) { nameIdx--; break; }
+          }
+        }
+
+        // `operator ==` and friends declare nothing completable.
+        const operator = toks.slice(start, j).some(x => x.type === 'keyword' && x.text === 'operator');
+        if (!operator && paren >= 0 && isName(toks[nameIdx]) && eq < 0) {
+          // Function, method, getter/setter or constructor.
+          let name = toks[nameIdx].text;
+          let kind = container ? 'method' : 'function';
+          if (toks[nameIdx - 1] && toks[nameIdx - 1].text === '.' && container && toks[nameIdx - 2] &&
+              toks[nameIdx - 2].text === container.name) {
+            kind = 'constructor';
+            name = `${container.name}.${name}`;
+            nameIdx -= 2;
+          } else if (container && name === container.name) {
+            kind = 'constructor';
+          } else if (toks[nameIdx - 1] && toks[nameIdx - 1].text === 'set') {
+            kind = 'setter';
+          }
+          add(name, kind, text(start, skipBlock(paren)), toks[nameIdx].offset, container && container.name);
+        } else if (!operator && body && paren < 0 && isName(toks[j - 1]) && toks[j - 2] && toks[j - 2].text === 'get') {
+          add(toks[j - 1].text, 'getter', text(start, j), toks[j - 1].offset, container && container.name);
+        } else if (!operator && !body && (paren < 0 || eq >= 0)) {
+          // Variables/fields: names directly before `=`, `,` or `;` at depth 0.
+          const kind = container ? 'field' : 'variable';
+          const end = j;
+          let angle = 0;
+          let inInit = false;
+          let typeEnd = -1;
+          for (let k = start; k < end; k++) {
+            const x = toks[k];
+            if (isOpen(x)) { k = skipBlock(k) - 1; continue; }
+            if (!inInit && x.text === '<') angle++;
+            if (!inInit && x.text === '>') angle--;
+            if (x.text === '=' && angle === 0) { inInit = true; continue; }
+            if (x.text === ',' && angle === 0) { inInit = false; continue; }
+            const next = toks[k + 1];
+            if (!inInit && angle === 0 && isName(x) && (!next || k + 1 >= end || ['=', ',', ';'].includes(next.text))) {
+              if (typeEnd < 0) typeEnd = k;
+              const getter = toks[k - 1] && toks[k - 1].text === 'get';
+              add(x.text, getter ? 'getter' : kind, `${text(start, typeEnd)} ${x.text}`, x.offset, container && container.name);
+            }
+          }
+        }
+
+        // Skip bodies and terminators.
+        if (toks[j] && toks[j].text === '{') {
+          j = skipBlock(j);
+        } else if (toks[j] && toks[j].text === '=') {
+          while (j < toks.length && toks[j].text !== ';') j = isOpen(toks[j]) ? skipBlock(j) : j + 1;
+        }
+        if (toks[j] && toks[j].text === ';') j++;
+        i = Math.max(j, i + 1);
+      }
+      return i;
+    };
+    scanScope(0, null);
+    return decls;
+  }
+
+  // Declarations per file, recomputed only when the file's text changes.
+  function fileDeclarations(file) {
+    const source = state.files[file] || '';
+    const cached = declarationCache.get(file);
+    if (cached && cached.source === source) return cached.decls;
+    const decls = scanDeclarations(source).map(d => ({ ...d, file }));
+    declarationCache.set(file, { source, decls });
+    return decls;
+  }
+
+  function projectDeclarations() {
+    for (const file of declarationCache.keys()) {
+      if (!(file in state.files)) declarationCache.delete(file);
+    }
+    return Object.keys(state.files).flatMap(fileDeclarations);
+  }
+
+  /*** ---------- Edit history ---------- ***/
+  // Per-file undo/redo kept in state.undoHistory (so it is persisted and
+  // survives reloads), because assigning UI.editor.value in setActive() wipes
+  // the textarea's native stack. Entries are text diffs
+  // { start, removed, inserted, time }; runs of typing or backspacing within
+  // UNDO_MERGE_MS collapse into one entry. Each file keeps at most UNDO_MAX
+  // entries and UNDO_MAX_CHARS of removed + inserted text, oldest dropped
+  // first, so a large paste doesn't ride along in every save of the project.
+  const UNDO_MAX = 100;
+  const UNDO_MAX_CHARS = 200000;
+  const UNDO_MERGE_MS = 1000;
+
+  function fileHistory(file) {
+    if (!state.undoHistory[file]) state.undoHistory[file] = { undo: [], redo: [] };
+    return state.undoHistory[file];
+  }
+
+  // Smallest single-range diff. `caret` (the caret after the edit) resolves
+  // ambiguity when the edited text repeats, e.g. typing `l` in `hel|lo`.
+  // Equal runs are skipped a chunk at a time; large files make this the
+  // bulk of a keystroke otherwise.
+  function textDiff(before, after, caret = after.length) {
+    const limit = Math.min(before.length, after.length, caret - Math.max(0, after.length - before.length));
+    let p = 0;
+    while (p + 1024 <= limit && before.slice(p, p + 1024) === after.slice(p, p + 1024)) p += 1024;
+    while (p < limit && before[p] === after[p]) p++;
+    let s = 0;
+    const maxSuffix = Math.min(before.length, after.length) - p;
+    while (s + 1024 <= maxSuffix &&
+      before.slice(before.length - s - 1024, before.length - s) === after.slice(after.length - s - 1024, after.length - s)) s += 1024;
+    while (s < maxSuffix && before[before.length - 1 - s] === after[after.length - 1 - s]) s++;
+    return { start: p, removed: before.slice(p, before.length - s), inserted: after.slice(p, after.length - s) };
+  }
+
+  function recordEdit(file, before, after, caret) {
+    if (before === after) return;
+    const edit = { ...textDiff(before, after, caret), time: Date.now() };
+    const history = fileHistory(file);
+    const last = history.undo[history.undo.length - 1];
+    const typing = e => !e.removed && !e.inserted.includes('\n');
+    const backspacing = e => !e.inserted && !e.removed.includes('\n');
+    history.redo = [];
+    if (last && edit.time - last.time < UNDO_MERGE_MS) {
+      if (typing(last) && typing(edit) && edit.start === last.start + last.inserted.length) {
+        last.inserted += edit.inserted;
+        last.time = edit.time;
+        return;
+      }
+      if (backspacing(last) && backspacing(edit) && edit.start + edit.removed.length === last.start) {
+        last.start = edit.start;
+        last.removed = edit.removed + last.removed;
+        last.time = edit.time;
+        return;
+      }
+    }
+    history.undo.push(edit);
+    const size = e => e.removed.length + e.inserted.length;
+    let chars = history.undo.reduce((sum, e) => sum + size(e), 0);
+    let drop = 0;
+    while (drop < history.undo.length && (history.undo.length - drop > UNDO_MAX || chars > UNDO_MAX_CHARS)) {
+      chars -= size(history.undo[drop]);
+      drop++;
+    }
+    history.undo.splice(0, drop);
+  }
+
+  // Moves the newest entry from one stack to the other and applies it.
+  // Returns false when there is nothing to do.
+  function stepHistory(kind) {
+    const file = state.active;
+    const history = fileHistory(file);
+    const from = kind === 'undo' ? history.undo : history.redo;
+    const to = kind === 'undo' ? history.redo : history.undo;
+    const edit = from.pop();
+    if (!edit) return false;
+    const text = state.files[file];
+    const [current, replacement] = kind === 'undo' ? [edit.inserted, edit.removed] : [edit.removed, edit.inserted];
+    if (text.slice(edit.start, edit.start + current.length) !== current) {
+      // The file changed outside the history (e.g. an older persisted stack).
+      state.undoHistory[file] = { undo: [], redo: [] };
+      persist();
+      setStatus('編集履歴がファイルと一致しないため破棄しました', true);
+      return false;
+    }
+    to.push({ ...edit, time: 0 });
+    state.files[file] = text.slice(0, edit.start) + replacement + text.slice(edit.start + current.length);
+    renderEditorText();
+    unfoldRange(edit.start, edit.start + replacement.length);
+    const end = fullToView(edit.start + replacement.length);
+    UI.editor.setSelectionRange(kind === 'undo' ? fullToView(edit.start) : end, end);
+    persist();
+    refreshEditor();
+    return true;
+  }
+
+  function undo() {
+    if (!stepHistory('undo')) setStatus('これ以上元に戻せません');
+  }
+
+  function redo() {
+    if (!stepHistory('redo')) setStatus('これ以上やり直せません');
+  }
+
+  function onHistoryKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  // Edit-menu / gesture undo arrives as beforeinput; route it through ours.
+  function onHistoryBeforeInput(e) {
+    if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+      e.preventDefault();
+      if (e.inputType === 'historyUndo') undo(); else redo();
+    }
+  }
+
+  /*** ---------- Smart editing ---------- ***/
+  // Keydown behaviours for the editor. Every change goes through
+  // replaceEditorRange(), so the input event (persistence, edit history,
+  // highlighting) fires exactly as for typed text. Handlers registered
+  // earlier (completion) win by calling preventDefault.
+  const INDENT = '  ';
+  const PAIRS = { '(': ')', '[': ']', '{': '}', "'": "'", '"': '"' };
+  const CLOSERS = new Set([')', ']', '}']);
+
+  // The lines touched by the selection; a selection ending at column 0
+  // does not include that last line.
+  function selectedLines() {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    const start = value.lastIndexOf('\n', s - 1) + 1;
+    const last = e > s && value[e - 1] === '\n' ? e - 1 : e;
+    let end = value.indexOf('\n', last);
+    if (end < 0) end = value.length;
+    return { start, end, lines: value.slice(start, end).split('\n') };
+  }
+
+  // Rewrites whole lines and shifts the selection along with the first and
+  // last line's change in length.
+  function replaceLines(range, lines) {
+    const { selectionStart: s, selectionEnd: e } = UI.editor;
+    const text = lines.join('\n');
+    const firstDelta = lines[0].length - range.lines[0].length;
+    const totalDelta = text.length - (range.end - range.start);
+    replaceEditorRange(range.start, range.end, text);
+    // A selection starting at column 0 keeps covering whole lines.
+    const selStart = s === range.start && s !== e ? s : Math.max(range.start, s + firstDelta);
+    UI.editor.setSelectionRange(selStart, s === e ? selStart : Math.max(selStart, e + totalDelta));
+  }
+
+  function indentLines(outdent) {
+    const range = selectedLines();
+    replaceLines(range, range.lines.map((line) => {
+      if (outdent) return line.replace(/^(?: {1,2}|\t)/, '');
+      return line ? INDENT + line : line;
+    }));
+  }
+
+  function toggleLineComment() {
+    const range = selectedLines();
+    const code = range.lines.filter(l => l.trim());
+    if (!code.length) return;
+    if (code.every(l => /^\s*\/\//.test(l))) {
+      replaceLines(range, range.lines.map(l => l.replace(/^(\s*)\/\/ ?/, '$1')));
+      return;
+    }
+    const indent = Math.min(...code.map(l => /^\s*/.exec(l)[0].length));
+    replaceLines(range, range.lines.map(l => (l.trim() ? `${l.slice(0, indent)}// ${l.slice(indent)}` : l)));
+  }
+
+  function insertNewline() {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    const lineStart = value.lastIndexOf('\n', s - 1) + 1;
+    const indent = /^[ \t]*/.exec(value.slice(lineStart, s))[0];
+    const opener = value.slice(lineStart, s).trimEnd().slice(-1);
+    if (!PAIRS[opener] || !CLOSERS.has(PAIRS[opener])) {
+      replaceEditorRange(s, e, '\n' + indent);
+      return;
+    }
+    const inner = indent + INDENT;
+    if (value[e] === PAIRS[opener]) {
+      // `{|}` → the closer goes on its own line below the caret.
+      replaceEditorRange(s, e, `\n${inner}\n${indent}`);
+      UI.editor.setSelectionRange(s + 1 + inner.length, s + 1 + inner.length);
+    } else {
+      replaceEditorRange(s, e, '\n' + inner);
+    }
+  }
+
+  function typePair(ch) {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    const close = PAIRS[ch];
+    if (s !== e) {
+      // Wrap the selection.
+      replaceEditorRange(s, e, ch + value.slice(s, e) + close);
+      UI.editor.setSelectionRange(s + 1, e + 1);
+      return true;
+    }
+    const next = value[s] || '';
+    if (ch === close) {
+      // Quotes: step over a closing quote, never pair next to a word.
+      if (next === ch) { UI.editor.setSelectionRange(s + 1, s + 1); return true; }
+      if (/[\w$]/.test(value[s - 1] || '') || /[\w$]/.test(next) || !isCodeAt(value, s)) return false;
+    } else if (next && !/\s/.test(next) && !CLOSERS.has(next) && next !== ';' && next !== ',') {
+      return false;
+    }
+    replaceEditorRange(s, s, ch + close);
+    UI.editor.setSelectionRange(s + 1, s + 1);
+    return true;
+  }
+
+  function typeCloser(ch) {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    if (s !== e) return false;
+    if (value[s] === ch) {
+      UI.editor.setSelectionRange(s + 1, s + 1);
+      return true;
+    }
+    // `}` typed on a blank line outdents it one level.
+    const lineStart = value.lastIndexOf('\n', s - 1) + 1;
+    const before = value.slice(lineStart, s);
+    if (ch === '}' && before.length >= INDENT.length && !before.trim()) {
+      replaceEditorRange(s - INDENT.length, s, ch);
+      return true;
+    }
+    return false;
+  }
+
+  function deletePair() {
+    const { value, selectionStart: s, selectionEnd: e } = UI.editor;
+    if (s !== e || s === 0 || PAIRS[value[s - 1]] !== value[s]) return false;
+    replaceEditorRange(s - 1, s + 1, '');
+    return true;
+  }
+
+  function onSmartEditKey(e) {
+    if (e.defaultPrevented || e.isComposing || e.altKey) return;
+    const mod = e.ctrlKey || e.metaKey;
+    let handled = false;
+    if (mod && e.key === '/') {
+      toggleLineComment();
+      handled = true;
+    } else if (mod) {
+      return;
+    } else if (e.key === 'Tab') {
+      const { value, selectionStart: s, selectionEnd: end } = UI.editor;
+      if (e.shiftKey || value.slice(s, end).includes('\n')) indentLines(e.shiftKey);
+      else replaceEditorRange(s, end, INDENT);
+      handled = true;
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      insertNewline();
+      handled = true;
+    } else if (e.key === 'Backspace') {
+      handled = deletePair();
+    } else if (PAIRS[e.key]) {
+      handled = typePair(e.key);
+    } else if (CLOSERS.has(e.key)) {
+      handled = typeCloser(e.key);
+    }
+    if (handled) e.preventDefault();
+  }
+
+  // Matching-bracket highlight: re-render when the caret lands next to a
+  // bracket, or leaves one that was highlighted.
+  function onCaretMove() {
+    const { value, selectionStart: s } = UI.editor;
+    const near = /[()[\]{}]/.test(value[s - 1] || '') || /[()[\]{}]/.test(value[s] || '');
+    if (near || UI.highlight.querySelector('.bracket-match')) renderHighlight();
+  }
+
+  /*** ---------- Completion ---------- ***/
+  // Suggestions come from the project (fileDeclarations over state.files) and
+  // from a bundled, hand-picked table of the commonly used dart:core,
+  // dart:async and dart:html API. Without type inference, `x.` offers the
+  // members of every known class; `ClassName.` narrows to that class.
+  //
+  // Table lines are `kind name|signature`; `Owner.name` marks a member.
+  const SDK_SYMBOL_TABLE = {
+    'dart:core': `
+function print|void print(Object? object)
+function identical|bool identical(Object? a, Object? b)
+function identityHashCode|int identityHashCode(Object? object)
+class Object|class Object
+class int|abstract final class int extends num
+class double|abstract final class double extends num
+class num|sealed class num implements Comparable<num>
+class bool|final class bool
+class String|abstract final class String implements Comparable<String>, Pattern
+class List|abstract interface class List<E> implements Iterable<E>
+class Map|abstract interface class Map<K, V>
+class Set|abstract interface class Set<E> implements Iterable<E>
+class Iterable|abstract mixin class Iterable<E>
+class Iterator|abstract interface class Iterator<E>
+class MapEntry|final class MapEntry<K, V>
+class DateTime|class DateTime implements Comparable<DateTime>
+class Duration|class Duration implements Comparable<Duration>
+class StringBuffer|class StringBuffer implements StringSink
+class RegExp|abstract interface class RegExp implements Pattern
+class Match|abstract interface class Match
+class Uri|abstract interface class Uri
+class Stopwatch|class Stopwatch
+class BigInt|abstract final class BigInt implements Comparable<BigInt>
+class Comparable|abstract interface class Comparable<T>
+class Pattern|abstract interface class Pattern
+class Symbol|abstract interface class Symbol
+class Type|abstract interface class Type
+class Function|abstract final class Function
+class Record|abstract final class Record
+class Enum|abstract interface class Enum
+class Null|final class Null
+class Exception|abstract interface class Exception
+class FormatException|class FormatException implements Exception
+class Error|class Error
+class ArgumentError|class ArgumentError extends Error
+class StateError|class StateError extends Error
+class RangeError|class RangeError extends ArgumentError
+class UnimplementedError|class UnimplementedError extends Error
+class UnsupportedError|class UnsupportedError extends Error
+class Future|abstract interface class Future<T>
+class Stream|abstract mixin class Stream<T>
+getter Object.hashCode|int get hashCode
+getter Object.runtimeType|Type get runtimeType
+method Object.toString|String toString()
+method Object.noSuchMethod|dynamic noSuchMethod(Invocation invocation)
+method int.parse|static int parse(String source, {int? radix})
+method int.tryParse|static int? tryParse(String source, {int? radix})
+getter int.isEven|bool get isEven
+getter int.isOdd|bool get isOdd
+getter int.bitLength|int get bitLength
+method int.toRadixString|String toRadixString(int radix)
+method int.gcd|int gcd(int other)
+method int.modPow|int modPow(int exponent, int modulus)
+method double.parse|static double parse(String source)
+method double.tryParse|static double? tryParse(String source)
+method num.parse|static num parse(String input)
+method num.abs|num abs()
+method num.round|int round()
+method num.floor|int floor()
+method num.ceil|int ceil()
+method num.truncate|int truncate()
+method num.toInt|int toInt()
+method num.toDouble|double toDouble()
+method num.toStringAsFixed|String toStringAsFixed(int fractionDigits)
+method num.toStringAsPrecision|String toStringAsPrecision(int precision)
+method num.clamp|num clamp(num lowerLimit, num upperLimit)
+method num.remainder|num remainder(num other)
+method num.compareTo|int compareTo(num other)
+getter num.isNaN|bool get isNaN
+getter num.isFinite|bool get isFinite
+getter num.isInfinite|bool get isInfinite
+getter num.isNegative|bool get isNegative
+getter num.sign|num get sign
+constructor String.fromCharCode|String.fromCharCode(int charCode)
+constructor String.fromCharCodes|String.fromCharCodes(Iterable<int> charCodes, [int start = 0, int? end])
+getter String.length|int get length
+getter String.isEmpty|bool get isEmpty
+getter String.isNotEmpty|bool get isNotEmpty
+getter String.codeUnits|List<int> get codeUnits
+getter String.runes|Runes get runes
+method String.substring|String substring(int start, [int? end])
+method String.split|List<String> split(Pattern pattern)
+method String.trim|String trim()
+method String.trimLeft|String trimLeft()
+method String.trimRight|String trimRight()
+method String.toUpperCase|String toUpperCase()
+method String.toLowerCase|String toLowerCase()
+method String.startsWith|bool startsWith(Pattern pattern, [int index = 0])
+method String.endsWith|bool endsWith(String other)
+method String.contains|bool contains(Pattern other, [int startIndex = 0])
+method String.indexOf|int indexOf(Pattern pattern, [int start = 0])
+method String.lastIndexOf|int lastIndexOf(Pattern pattern, [int? start])
+method String.replaceAll|String replaceAll(Pattern from, String replace)
+method String.replaceFirst|String replaceFirst(Pattern from, String to, [int startIndex = 0])
+method String.replaceRange|String replaceRange(int start, int? end, String replacement)
+method String.padLeft|String padLeft(int width, [String padding = ' '])
+method String.padRight|String padRight(int width, [String padding = ' '])
+method String.codeUnitAt|int codeUnitAt(int index)
+method String.allMatches|Iterable<Match> allMatches(String string, [int start = 0])
+method String.splitMapJoin|String splitMapJoin(Pattern pattern, {String Function(Match)? onMatch, String Function(String)? onNonMatch})
+method String.compareTo|int compareTo(String other)
+getter Iterable.length|int get length
+getter Iterable.isEmpty|bool get isEmpty
+getter Iterable.isNotEmpty|bool get isNotEmpty
+getter Iterable.first|E get first
+getter Iterable.last|E get last
+getter Iterable.single|E get single
+getter Iterable.iterator|Iterator<E> get iterator
+method Iterable.map|Iterable<T> map<T>(T toElement(E e))
+method Iterable.where|Iterable<E> where(bool test(E element))
+method Iterable.whereType|Iterable<T> whereType<T>()
+method Iterable.expand|Iterable<T> expand<T>(Iterable<T> toElements(E element))
+method Iterable.forEach|void forEach(void action(E element))
+method Iterable.reduce|E reduce(E combine(E value, E element))
+method Iterable.fold|T fold<T>(T initialValue, T combine(T previousValue, E element))
+method Iterable.any|bool any(bool test(E element))
+method Iterable.every|bool every(bool test(E element))
+method Iterable.contains|bool contains(Object? element)
+method Iterable.join|String join([String separator = ""])
+method Iterable.toList|List<E> toList({bool growable = true})
+method Iterable.toSet|Set<E> toSet()
+method Iterable.skip|Iterable<E> skip(int count)
+method Iterable.take|Iterable<E> take(int count)
+method Iterable.skipWhile|Iterable<E> skipWhile(bool test(E value))
+method Iterable.takeWhile|Iterable<E> takeWhile(bool test(E value))
+method Iterable.firstWhere|E firstWhere(bool test(E element), {E orElse()?})
+method Iterable.lastWhere|E lastWhere(bool test(E element), {E orElse()?})
+method Iterable.elementAt|E elementAt(int index)
+method Iterable.followedBy|Iterable<E> followedBy(Iterable<E> other)
+method Iterable.cast|Iterable<R> cast<R>()
+constructor List.filled|List<E>.filled(int length, E fill, {bool growable = false})
+constructor List.generate|List<E>.generate(int length, E generator(int index), {bool growable = true})
+constructor List.empty|List<E>.empty({bool growable = false})
+constructor List.of|List<E>.of(Iterable<E> elements, {bool growable = true})
+constructor List.from|List<E>.from(Iterable elements, {bool growable = true})
+method List.add|void add(E value)
+method List.addAll|void addAll(Iterable<E> iterable)
+method List.insert|void insert(int index, E element)
+method List.insertAll|void insertAll(int index, Iterable<E> iterable)
+method List.remove|bool remove(Object? value)
+method List.removeAt|E removeAt(int index)
+method List.removeLast|E removeLast()
+method List.removeWhere|void removeWhere(bool test(E element))
+method List.retainWhere|void retainWhere(bool test(E element))
+method List.indexOf|int indexOf(E element, [int start = 0])
+method List.lastIndexOf|int lastIndexOf(E element, [int? start])
+method List.sort|void sort([int compare(E a, E b)?])
+method List.shuffle|void shuffle([Random? random])
+method List.sublist|List<E> sublist(int start, [int? end])
+method List.getRange|Iterable<E> getRange(int start, int end)
+method List.setRange|void setRange(int start, int end, Iterable<E> iterable, [int skipCount = 0])
+method List.fillRange|void fillRange(int start, int end, [E? fillValue])
+method List.clear|void clear()
+method List.asMap|Map<int, E> asMap()
+getter List.reversed|Iterable<E> get reversed
+constructor Map.fromEntries|Map<K, V>.fromEntries(Iterable<MapEntry<K, V>> entries)
+constructor Map.of|Map<K, V>.of(Map<K, V> other)
+getter Map.keys|Iterable<K> get keys
+getter Map.values|Iterable<V> get values
+getter Map.entries|Iterable<MapEntry<K, V>> get entries
+getter Map.length|int get length
+getter Map.isEmpty|bool get isEmpty
+getter Map.isNotEmpty|bool get isNotEmpty
+method Map.containsKey|bool containsKey(Object? key)
+method Map.containsValue|bool containsValue(Object? value)
+method Map.putIfAbsent|V putIfAbsent(K key, V ifAbsent())
+method Map.update|V update(K key, V update(V value), {V ifAbsent()?})
+method Map.updateAll|void updateAll(V update(K key, V value))
+method Map.remove|V? remove(Object? key)
+method Map.removeWhere|void removeWhere(bool test(K key, V value))
+method Map.addAll|void addAll(Map<K, V> other)
+method Map.addEntries|void addEntries(Iterable<MapEntry<K, V>> newEntries)
+method Map.forEach|void forEach(void action(K key, V value))
+method Map.map|Map<K2, V2> map<K2, V2>(MapEntry<K2, V2> convert(K key, V value))
+method Map.clear|void clear()
+getter MapEntry.key|K get key
+getter MapEntry.value|V get value
+constructor Set.of|Set<E>.of(Iterable<E> elements)
+method Set.add|bool add(E value)
+method Set.addAll|void addAll(Iterable<E> elements)
+method Set.remove|bool remove(Object? value)
+method Set.lookup|E? lookup(Object? object)
+method Set.containsAll|bool containsAll(Iterable<Object?> other)
+method Set.union|Set<E> union(Set<E> other)
+method Set.intersection|Set<E> intersection(Set<Object?> other)
+method Set.difference|Set<E> difference(Set<Object?> other)
+getter Iterator.current|E get current
+method Iterator.moveNext|bool moveNext()
+constructor DateTime.now|DateTime.now()
+constructor DateTime.utc|DateTime.utc(int year, [int month = 1, int day = 1, int hour = 0, int minute = 0, int second = 0])
+constructor DateTime.fromMillisecondsSinceEpoch|DateTime.fromMillisecondsSinceEpoch(int millisecondsSinceEpoch, {bool isUtc = false})
+method DateTime.parse|static DateTime parse(String formattedString)
+method DateTime.tryParse|static DateTime? tryParse(String formattedString)
+getter DateTime.year|int get year
+getter DateTime.month|int get month
+getter DateTime.day|int get day
+getter DateTime.hour|int get hour
+getter DateTime.minute|int get minute
+getter DateTime.second|int get second
+getter DateTime.millisecond|int get millisecond
+getter DateTime.weekday|int get weekday
+getter DateTime.millisecondsSinceEpoch|int get millisecondsSinceEpoch
+method DateTime.add|DateTime add(Duration duration)
+method DateTime.subtract|DateTime subtract(Duration duration)
+method DateTime.difference|Duration difference(DateTime other)
+method DateTime.isBefore|bool isBefore(DateTime other)
+method DateTime.isAfter|bool isAfter(DateTime other)
+method DateTime.toIso8601String|String toIso8601String()
+method DateTime.toUtc|DateTime toUtc()
+method DateTime.toLocal|DateTime toLocal()
+getter Duration.inDays|int get inDays
+getter Duration.inHours|int get inHours
+getter Duration.inMinutes|int get inMinutes
+getter Duration.inSeconds|int get inSeconds
+getter Duration.inMilliseconds|int get inMilliseconds
+getter Duration.inMicroseconds|int get inMicroseconds
+getter Duration.isNegative|bool get isNegative
+method StringBuffer.write|void write(Object? object)
+method StringBuffer.writeln|void writeln([Object? obj = ""])
+method StringBuffer.writeAll|void writeAll(Iterable objects, [String separator = ""])
+method StringBuffer.writeCharCode|void writeCharCode(int charCode)
+method StringBuffer.clear|void clear()
+getter StringBuffer.length|int get length
+method RegExp.hasMatch|bool hasMatch(String input)
+method RegExp.firstMatch|RegExpMatch? firstMatch(String input)
+method RegExp.allMatches|Iterable<RegExpMatch> allMatches(String input, [int start = 0])
+method RegExp.stringMatch|String? stringMatch(String input)
+getter RegExp.pattern|String get pattern
+method Match.group|String? group(int group)
+method Match.groups|List<String?> groups(List<int> groupIndices)
+getter Match.start|int get start
+getter Match.end|int get end
+getter Match.groupCount|int get groupCount
+method Stopwatch.start|void start()
+method Stopwatch.stop|void stop()
+method Stopwatch.reset|void reset()
+getter Stopwatch.elapsed|Duration get elapsed
+getter Stopwatch.elapsedMilliseconds|int get elapsedMilliseconds
+getter Stopwatch.isRunning|bool get isRunning
+method Uri.parse|static Uri parse(String uri, [int start = 0, int? end])
+method Uri.encodeComponent|static String encodeComponent(String component)
+method Uri.decodeComponent|static String decodeComponent(String encodedComponent)
+getter Uri.scheme|String get scheme
+getter Uri.host|String get host
+getter Uri.path|String get path
+getter Uri.pathSegments|List<String> get pathSegments
+getter Uri.queryParameters|Map<String, String> get queryParameters
+method Uri.resolve|Uri resolve(String reference)
+method BigInt.parse|static BigInt parse(String source, {int? radix})
+`,
+    'dart:async': `
+class Completer|abstract interface class Completer<T>
+class Timer|abstract interface class Timer
+class StreamController|abstract interface class StreamController<T> implements StreamSink<T>
+class StreamSubscription|abstract interface class StreamSubscription<T>
+class StreamTransformer|abstract interface class StreamTransformer<S, T>
+class FutureOr|abstract final class FutureOr<T>
+class Zone|abstract final class Zone
+class TimeoutException|class TimeoutException implements Exception
+function scheduleMicrotask|void scheduleMicrotask(void callback())
+function runZoned|R runZoned<R>(R body(), {Map<Object?, Object?>? zoneValues})
+function runZonedGuarded|R? runZonedGuarded<R>(R body(), void onError(Object error, StackTrace stack))
+function unawaited|void unawaited(Future<void>? future)
+constructor Future.delayed|Future<T>.delayed(Duration duration, [FutureOr<T> computation()?])
+constructor Future.value|Future<T>.value([FutureOr<T>? value])
+constructor Future.error|Future<T>.error(Object error, [StackTrace? stackTrace])
+constructor Future.microtask|Future<T>.microtask(FutureOr<T> computation())
+constructor Future.sync|Future<T>.sync(FutureOr<T> computation())
+method Future.wait|static Future<List<T>> wait<T>(Iterable<Future<T>> futures, {bool eagerError = false})
+method Future.any|static Future<T> any<T>(Iterable<Future<T>> futures)
+method Future.forEach|static Future<void> forEach<T>(Iterable<T> elements, FutureOr action(T element))
+method Future.then|Future<R> then<R>(FutureOr<R> onValue(T value), {Function? onError})
+method Future.catchError|Future<T> catchError(Function onError, {bool test(Object error)?})
+method Future.whenComplete|Future<T> whenComplete(FutureOr<void> action())
+method Future.timeout|Future<T> timeout(Duration timeLimit, {FutureOr<T> onTimeout()?})
+method Future.asStream|Stream<T> asStream()
+method Future.ignore|void ignore()
+constructor Stream.fromIterable|Stream<T>.fromIterable(Iterable<T> elements)
+constructor Stream.fromFuture|Stream<T>.fromFuture(Future<T> future)
+constructor Stream.periodic|Stream<T>.periodic(Duration period, [T computation(int computationCount)?])
+constructor Stream.value|Stream<T>.value(T value)
+constructor Stream.empty|Stream<T>.empty({bool broadcast = true})
+method Stream.listen|StreamSubscription<T> listen(void onData(T event)?, {Function? onError, void onDone()?, bool? cancelOnError})
+method Stream.map|Stream<S> map<S>(S convert(T event))
+method Stream.where|Stream<T> where(bool test(T event))
+method Stream.asyncMap|Stream<E> asyncMap<E>(FutureOr<E> convert(T event))
+method Stream.asyncExpand|Stream<E> asyncExpand<E>(Stream<E>? convert(T event))
+method Stream.expand|Stream<S> expand<S>(Iterable<S> convert(T element))
+method Stream.take|Stream<T> take(int count)
+method Stream.skip|Stream<T> skip(int count)
+method Stream.distinct|Stream<T> distinct([bool equals(T previous, T next)?])
+method Stream.handleError|Stream<T> handleError(Function onError, {bool test(dynamic error)?})
+method Stream.asBroadcastStream|Stream<T> asBroadcastStream()
+method Stream.transform|Stream<S> transform<S>(StreamTransformer<T, S> streamTransformer)
+method Stream.timeout|Stream<T> timeout(Duration timeLimit, {void onTimeout(EventSink<T> sink)?})
+method Stream.toList|Future<List<T>> toList()
+method Stream.forEach|Future<void> forEach(void action(T element))
+method Stream.fold|Future<S> fold<S>(S initialValue, S combine(S previous, T element))
+method Stream.reduce|Future<T> reduce(T combine(T previous, T element))
+getter Stream.first|Future<T> get first
+getter Stream.last|Future<T> get last
+getter Stream.length|Future<int> get length
+getter Stream.isBroadcast|bool get isBroadcast
+method Completer.complete|void complete([FutureOr<T>? value])
+method Completer.completeError|void completeError(Object error, [StackTrace? stackTrace])
+getter Completer.future|Future<T> get future
+getter Completer.isCompleted|bool get isCompleted
+constructor Timer.periodic|Timer.periodic(Duration duration, void callback(Timer timer))
+method Timer.run|static void run(void callback())
+method Timer.cancel|void cancel()
+getter Timer.isActive|bool get isActive
+getter Timer.tick|int get tick
+constructor StreamController.broadcast|StreamController<T>.broadcast({void onListen()?, void onCancel()?, bool sync = false})
+method StreamController.add|void add(T event)
+method StreamController.addError|void addError(Object error, [StackTrace? stackTrace])
+method StreamController.close|Future close()
+getter StreamController.stream|Stream<T> get stream
+getter StreamController.sink|StreamSink<T> get sink
+getter StreamController.hasListener|bool get hasListener
+getter StreamController.isClosed|bool get isClosed
+method StreamSubscription.cancel|Future<void> cancel()
+method StreamSubscription.pause|void pause([Future<void>? resumeSignal])
+method StreamSubscription.resume|void resume()
+method StreamSubscription.onData|void onData(void handleData(T data)?)
+method StreamSubscription.onError|void onError(Function? handleError)
+method StreamSubscription.onDone|void onDone(void handleDone()?)
+getter StreamSubscription.isPaused|bool get isPaused
+`,
+    'dart:html': `
+getter window|Window get window
+getter document|HtmlDocument get document
+function querySelector|Element? querySelector(String selectors)
+function querySelectorAll|ElementList<T> querySelectorAll<T extends Element>(String selectors)
+class Window|class Window extends EventTarget
+class HtmlDocument|class HtmlDocument extends Document
+class Node|class Node extends EventTarget
+class Element|abstract class Element extends Node
+class DivElement|class DivElement extends HtmlElement
+class SpanElement|class SpanElement extends HtmlElement
+class ParagraphElement|class ParagraphElement extends HtmlElement
+class ButtonElement|class ButtonElement extends HtmlElement
+class InputElement|class InputElement extends HtmlElement
+class TextAreaElement|class TextAreaElement extends HtmlElement
+class AnchorElement|class AnchorElement extends HtmlElement
+class ImageElement|class ImageElement extends HtmlElement
+class CanvasElement|class CanvasElement extends HtmlElement
+class CanvasRenderingContext2D|class CanvasRenderingContext2D
+class ElementList|abstract class ElementList<T extends Element> extends ListBase<T>
+class CssStyleDeclaration|class CssStyleDeclaration
+class Event|class Event
+class MouseEvent|class MouseEvent extends UIEvent
+class KeyboardEvent|class KeyboardEvent extends UIEvent
+class HttpRequest|class HttpRequest extends HttpRequestEventTarget
+class Storage|class Storage with MapMixin<String, String>
+constructor Element.tag|Element.tag(String tag, [String? typeExtension])
+constructor Element.html|Element.html(String? html, {NodeValidator? validator, NodeTreeSanitizer? treeSanitizer})
+method HttpRequest.getString|static Future<String> getString(String url, {bool? withCredentials, void onProgress(ProgressEvent e)?})
+method HttpRequest.request|static Future<HttpRequest> request(String url, {String? method, Object? sendData})
+getter HttpRequest.responseText|String? get responseText
+getter HttpRequest.status|int? get status
+getter Window.localStorage|Storage get localStorage
+getter Window.sessionStorage|Storage get sessionStorage
+getter Window.location|Location get location
+getter Window.innerWidth|int? get innerWidth
+getter Window.innerHeight|int? get innerHeight
+getter Window.animationFrame|Future<num> get animationFrame
+getter Window.onResize|ElementStream<Event> get onResize
+method Window.alert|void alert([String? message])
+method Window.confirm|bool confirm([String? message])
+method Window.requestAnimationFrame|int requestAnimationFrame(FrameRequestCallback callback)
+getter HtmlDocument.body|BodyElement? get body
+getter HtmlDocument.head|HeadElement? get head
+getter HtmlDocument.title|String get title
+method HtmlDocument.createElement|Element createElement(String tagName, [String? typeExtension])
+getter Element.text|String? get text
+getter Element.innerHtml|String? get innerHtml
+getter Element.id|String get id
+getter Element.children|List<Element> get children
+getter Element.classes|CssClassSet get classes
+getter Element.style|CssStyleDeclaration get style
+getter Element.attributes|Map<String, String> get attributes
+getter Element.dataset|Map<String, String> get dataset
+getter Element.hidden|bool get hidden
+getter Element.parent|Element? get parent
+getter Element.nodes|List<Node> get nodes
+getter Element.onClick|ElementStream<MouseEvent> get onClick
+getter Element.onInput|ElementStream<Event> get onInput
+getter Element.onChange|ElementStream<Event> get onChange
+getter Element.onKeyDown|ElementStream<KeyboardEvent> get onKeyDown
+getter Element.onMouseMove|ElementStream<MouseEvent> get onMouseMove
+method Element.setInnerHtml|void setInnerHtml(String? html, {NodeValidator? validator, NodeTreeSanitizer? treeSanitizer})
+method Element.append|Node append(Node node)
+method Element.appendText|void appendText(String text)
+method Element.remove|void remove()
+method Element.querySelector|Element? querySelector(String selectors)
+method Element.querySelectorAll|ElementList<T> querySelectorAll<T extends Element>(String selectors)
+method Element.addEventListener|void addEventListener(String type, EventListener? listener, [bool? useCapture])
+method Element.removeEventListener|void removeEventListener(String type, EventListener? listener, [bool? useCapture])
+method Element.focus|void focus()
+method Element.getBoundingClientRect|Rectangle<num> getBoundingClientRect()
+getter InputElement.value|String? get value
+getter InputElement.checked|bool? get checked
+getter InputElement.type|String? get type
+getter InputElement.placeholder|String get placeholder
+getter InputElement.disabled|bool get disabled
+getter CanvasElement.width|int? get width
+getter CanvasElement.height|int? get height
+getter CanvasElement.context2D|CanvasRenderingContext2D get context2D
+getter CanvasRenderingContext2D.fillStyle|Object? get fillStyle
+getter CanvasRenderingContext2D.strokeStyle|Object? get strokeStyle
+getter CanvasRenderingContext2D.lineWidth|num get lineWidth
+getter CanvasRenderingContext2D.font|String get font
+method CanvasRenderingContext2D.fillRect|void fillRect(num x, num y, num width, num height)
+method CanvasRenderingContext2D.strokeRect|void strokeRect(num x, num y, num width, num height)
+method CanvasRenderingContext2D.clearRect|void clearRect(num x, num y, num width, num height)
+method CanvasRenderingContext2D.beginPath|void beginPath()
+method CanvasRenderingContext2D.closePath|void closePath()
+method CanvasRenderingContext2D.moveTo|void moveTo(num x, num y)
+method CanvasRenderingContext2D.lineTo|void lineTo(num x, num y)
+method CanvasRenderingContext2D.arc|void arc(num x, num y, num radius, num startAngle, num endAngle, [bool anticlockwise = false])
+method CanvasRenderingContext2D.fill|void fill([String? winding])
+method CanvasRenderingContext2D.stroke|void stroke([Path2D? path])
+method CanvasRenderingContext2D.fillText|void fillText(String text, num x, num y, [num? maxWidth])
+method CanvasRenderingContext2D.save|void save()
+method CanvasRenderingContext2D.restore|void restore()
+method CanvasRenderingContext2D.translate|void translate(num x, num y)
+method CanvasRenderingContext2D.rotate|void rotate(num angle)
+method CanvasRenderingContext2D.scale|void scale(num x, num y)
+method Event.preventDefault|void preventDefault()
+method Event.stopPropagation|void stopPropagation()
+getter Event.target|EventTarget? get target
+getter Event.currentTarget|EventTarget? get currentTarget
+getter Event.type|String get type
+getter MouseEvent.client|Point<num> get client
+getter MouseEvent.offset|Point<num> get offset
+getter MouseEvent.button|int get button
+getter KeyboardEvent.key|String? get key
+getter KeyboardEvent.ctrlKey|bool get ctrlKey
+getter KeyboardEvent.shiftKey|bool get shiftKey
+getter KeyboardEvent.altKey|bool get altKey
+method Storage.containsKey|bool containsKey(Object? key)
+method Storage.remove|String? remove(Object? key)
+method Storage.clear|void clear()
+getter Storage.keys|Iterable<String> get keys
+`
+  };
+  const SDK_SYMBOLS = Object.entries(SDK_SYMBOL_TABLE).flatMap(([library, table]) =>
+    table.trim().split('\n').map((line) => {
+      const [, kind, qualified, signature] = /^(\w+) ([\w$.]+)\|(.*)$/.exec(line);
+      const dot = qualified.indexOf('.');
+      return dot < 0
+        ? { name: qualified, kind, signature, container: '', library }
+        : { name: qualified.slice(dot + 1), kind, signature, container: qualified.slice(0, dot), library };
+    })
+  );
+  const COMPLETION_LIMIT = 40;
+  const COMPLETION_KIND_ORDER = [
+    'variable', 'field', 'getter', 'setter', 'function', 'method', 'constructor', 'enumValue',
+    'class', 'enum', 'mixin', 'extension', 'typedef', 'keyword'
+  ];
+  const completion = { items: [], index: 0, start: 0, accepting: false };
+  let completionMeasure;  // hidden run of 'M's measuring the editor's char width
+
+  // What is being completed at the caret, or null inside strings/comments.
+  function completionContext() {
+    const ed = UI.editor;
+    if (ed.selectionStart !== ed.selectionEnd) return null;
+    const caret = ed.selectionStart;
+    const before = ed.value.slice(0, caret);
+    const prefix = (/[A-Za-z_$][\w$]*$/.exec(before) || [''])[0];
+    const start = caret - prefix.length;
+    if (!isCodeAt(ed.value, start)) return null;
+    const member = before[start - 1] === '.';
+    const receiver = member ? (/([A-Za-z_$][\w$]*)\.$/.exec(before.slice(0, start)) || [])[1] : undefined;
+    return { caret, start, prefix, member, receiver };
+  }
+
+  function completionCandidates(ctx) {
+    const project = projectDeclarations();
+    let pool;
+    if (ctx.member) {
+      const members = project.filter(d => d.container).concat(SDK_SYMBOLS.filter(s => s.container));
+      const scoped = members.filter(d => d.container === ctx.receiver);
+      pool = scoped.length ? scoped : members.filter(d => d.kind !== 'constructor' && d.kind !== 'enumValue');
+    } else {
+      const imported = new Set(['dart:core']);
+      parseDirectives(UI.editor.value).forEach((d) => { if (d.kind === 'import') imported.add(d.uri); });
+      pool = project
+        .filter(d => d.file === state.active || (!d.container && !d.name.startsWith('_')))
+        .filter(d => d.kind !== 'constructor')
+        .concat(SDK_SYMBOLS.filter(s => !s.container && imported.has(s.library)))
+        .concat([...DART_KEYWORDS].map(name => ({ name, kind: 'keyword', signature: '', container: '' })));
+    }
+
+    const lower = ctx.prefix.toLowerCase();
+    const seen = new Set();
+    const items = [];
+    pool.forEach((d) => {
+      const label = d.name.slice(d.name.lastIndexOf('.') + 1);
+      if (!label.toLowerCase().startsWith(lower)) return;
+      const key = `${label}\n${d.kind}\n${d.signature}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      items.push({ ...d, label });
+    });
+    const rank = d => [
+      d.label.startsWith(ctx.prefix) ? 0 : 1,
+      d.file === state.active ? 0 : d.file ? 1 : 2,
+      COMPLETION_KIND_ORDER.indexOf(d.kind)
+    ];
+    return items.sort((a, b) => {
+      const ra = rank(a);
+      const rb = rank(b);
+      for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return ra[i] - rb[i];
+      return a.label.localeCompare(b.label);
+    }).slice(0, COMPLETION_LIMIT);
+  }
+
+  // Opens or refreshes the popup. Without `force` an empty prefix only
+  // completes after a `.`.
+  function updateCompletion(force = false) {
+    const ctx = completionContext();
+    if (!ctx || (!force && !ctx.prefix && !ctx.member)) { closeCompletion(); return; }
+    const items = completionCandidates(ctx);
+    if (!items.length || (!force && items.length === 1 && items[0].label === ctx.prefix)) {
+      closeCompletion();
+      return;
+    }
+    completion.items = items;
+    completion.index = 0;
+    completion.start = ctx.start;
+    renderCompletion();
+    positionCompletion(ctx.start);
+  }
+
+  function closeCompletion() {
+    completion.items = [];
+    UI.completion.hidden = true;
+  }
+
+  function renderCompletion() {
+    UI.completion.innerHTML = '';
+    completion.items.forEach((d, i) => {
+      const li = document.createElement('li');
+      li.className = 'completion-item' + (i === completion.index ? ' active' : '');
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(i === completion.index));
+      li.title = [d.container, d.file ? `${d.file}:${d.line}` : d.library].filter(Boolean).join(' · ');
+      li.innerHTML =
+        `<span class="completion-kind kind-${d.kind}">${escapeHTML(d.kind)}</span>` +
+        `<span class="completion-name">${escapeHTML(d.container && d.kind !== 'constructor' ? d.label : d.name)}</span>` +
+        `<span class="completion-sig">${escapeHTML(d.signature)}</span>`;
+      li.addEventListener('mousedown', (e) => {
+        e.preventDefault();  // keep focus in the editor
+        acceptCompletion(i);
+      });
+      UI.completion.appendChild(li);
+    });
+    UI.completion.hidden = false;
+  }
+
+  function moveCompletion(delta) {
+    const n = completion.items.length;
+    completion.index = (completion.index + delta + n) % n;
+    Array.from(UI.completion.children).forEach((li, i) => {
+      li.classList.toggle('active', i === completion.index);
+      li.setAttribute('aria-selected', String(i === completion.index));
+    });
+    const li = UI.completion.children[completion.index];
+    if (li.offsetTop < UI.completion.scrollTop) {
+      UI.completion.scrollTop = li.offsetTop;
+    } else if (li.offsetTop + li.offsetHeight > UI.completion.scrollTop + UI.completion.clientHeight) {
+      UI.completion.scrollTop = li.offsetTop + li.offsetHeight - UI.completion.clientHeight;
+    }
+  }
+
+  // Places the popup under the character at `offset` (monospace, tab-size 2).
+  function positionCompletion(offset) {
+    const ed = UI.editor;
+    const cs = getComputedStyle(ed);
+    const fontSize = parseFloat(cs.fontSize) || 13;
+    const lineHeight = parseFloat(cs.lineHeight) || fontSize * 1.65;
+    if (!completionMeasure) {
+      completionMeasure = document.createElement('span');
+      completionMeasure.className = 'completion-measure';
+      completionMeasure.textContent = 'M'.repeat(20);
+      ed.parentNode.appendChild(completionMeasure);
+    }
+    const charWidth = completionMeasure.getBoundingClientRect().width / 20 || fontSize * 0.6;
+    const lines = ed.value.slice(0, offset).split('\n');
+    const column = lines[lines.length - 1].replace(/\t/g, '  ').length;
+    const left = (parseFloat(cs.paddingLeft) || 0) + column * charWidth - ed.scrollLeft;
+    const top = (parseFloat(cs.paddingTop) || 0) + lines.length * lineHeight - ed.scrollTop;
+    UI.completion.style.left = `${Math.max(0, Math.min(left, ed.clientWidth - UI.completion.offsetWidth))}px`;
+    UI.completion.style.top = `${top}px`;
+  }
+
+  // Replaces editor text as if typed: execCommand keeps the browser's undo
+  // stack; either way the input event (and with it persistence) fires.
+  function replaceEditorRange(start, end, text) {
+    const ed = UI.editor;
+    ed.focus();
+    ed.setSelectionRange(start, end);
+    if (document.execCommand && document.execCommand('insertText', false, text)) return;
+    ed.setRangeText(text, start, end, 'end');
+    ed.dispatchEvent(new Event('input'));
+  }
+
+  function acceptCompletion(index = completion.index) {
+    const item = completion.items[index];
+    if (!item) return;
+    completion.accepting = true;
+    try {
+      replaceEditorRange(completion.start, UI.editor.selectionStart, item.label);
+    } finally {
+      completion.accepting = false;
+    }
+    closeCompletion();
+  }
+
+  function onCompletionInput(e) {
+    if (completion.accepting) return;
+    const typed = e.inputType === 'insertText' && /^[\w$.]$/.test(e.data || '');
+    const deleted = e.inputType === 'deleteContentBackward' && !UI.completion.hidden;
+    if (typed || deleted) updateCompletion();
+    else closeCompletion();
+  }
+
+  function onCompletionKey(e) {
+    if (e.ctrlKey && (e.code === 'Space' || e.key === ' ')) {
+      e.preventDefault();
+      updateCompletion(true);
+      return;
+    }
+    if (UI.completion.hidden) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveCompletion(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      acceptCompletion();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeCompletion();
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+      closeCompletion();
+    }
+  }
+
+  /*** ---------- Outline & go-to-definition ---------- ***/
+  const OUTLINE_ICONS = {
+    class: 'C', mixin: 'M', enum: 'E', extension: 'X', typedef: 'T', function: 'ƒ', getter: 'g',
+    setter: 's', variable: 'v', method: 'm', field: 'f', constructor: 'c', enumValue: 'e'
+  };
+  let outlineTimer;
+
+  function renderOutline() {
+    clearTimeout(outlineTimer);
+    UI.outline.innerHTML = '';
+    const decls = fileDeclarations(state.active);
+    if (!decls.length) {
+      UI.outline.innerHTML = '<div class="outline-empty">宣言がありません</div>';
+      return;
+    }
+    decls.forEach((d) => {
+      const item = document.createElement('button');
+      item.className = 'outline-item' + (d.container ? ' member' : '');
+      item.title = d.signature;
+      item.innerHTML = `<span class="outline-icon kind-${d.kind}" title="${d.kind}">${OUTLINE_ICONS[d.kind] || '·'}</span>` +
+        `<span class="outline-name">${escapeHTML(d.name)}</span>`;
+      item.addEventListener('click', () => revealDeclaration(d));
+      UI.outline.appendChild(item);
+    });
+  }
+
+  function scheduleOutline() {
+    clearTimeout(outlineTimer);
+    outlineTimer = setTimeout(renderOutline, 300);
+  }
+
+  function revealDeclaration(d) {
+    revealLocation(d.file, d.line, d.column, d.name.length);
+  }
+
+  // The identifier under `offset` in the editor, with the receiver before a
+  // `.` if there is one.
+  function identifierAt(text, offset) {
+    let start = offset;
+    let end = offset;
+    while (start > 0 && /[\w$]/.test(text[start - 1])) start--;
+    while (end < text.length && /[\w$]/.test(text[end])) end++;
+    const name = text.slice(start, end);
+    if (!/^[A-Za-z_$]/.test(name)) return null;
+    const receiver = text[start - 1] === '.' ? (/([A-Za-z_$][\w$]*)\.$/.exec(text.slice(0, start)) || [])[1] : undefined;
+    return { name, receiver, member: text[start - 1] === '.' };
+  }
+
+  // Candidates ranked: the receiver's members, then members vs. top-level by
+  // whether the name follows a `.`, then the active file first.
+  function findDefinitions(ref) {
+    const matches = projectDeclarations().filter(d => d.name === ref.name || d.name === `${ref.receiver}.${ref.name}`);
+    const rank = d => [
+      ref.receiver && d.container === ref.receiver ? 0 : 1,
+      !!d.container === ref.member ? 0 : 1,
+      d.file === state.active ? 0 : 1
+    ];
+    const ranked = matches.map(d => ({ d, r: rank(d) })).sort((a, b) => {
+      for (let i = 0; i < a.r.length; i++) if (a.r[i] !== b.r[i]) return a.r[i] - b.r[i];
+      return a.d.offset - b.d.offset;
+    });
+    if (!ranked.length) return [];
+    const best = ranked[0].r.join();
+    return ranked.filter(x => x.r.join() === best).map(x => x.d);
+  }
+
+  async function goToDefinition(offset = UI.editor.selectionStart) {
+    const ref = identifierAt(UI.editor.value, offset);
+    if (!ref) return;
+    const found = findDefinitions(ref);
+    if (!found.length) {
+      setStatus(`${ref.name} の定義が見つかりません`);
+      return;
+    }
+    if (found.length === 1) {
+      revealDeclaration(found[0]);
+      return;
+    }
+    const body = document.createElement('p');
+    body.textContent = `${ref.name} の定義が ${found.length} 件あります`;
+    const choice = await showDialog('定義へ移動', body, [
+      { label: 'キャンセル', value: 'cancel' },
+      ...found.map((d, i) => ({ label: `${d.file}:${d.line}  ${d.signature}`, value: String(i) }))
+    ]);
+    if (choice && choice !== 'cancel') revealDeclaration(found[Number(choice)]);
+  }
+
+  function onDefinitionKey(e) {
+    if (e.key === 'F12') {
+      e.preventDefault();
+      goToDefinition();
+    }
+  }
+
+  function onDefinitionClick(e) {
+    // The click has already moved the caret under the pointer.
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      goToDefinition(UI.editor.selectionStart);
+    }
+  }
+
+  /*** ---------- File ops ---------- ***/
+  // Paths are '/'-separated and relative to the project root, such as
+  // lib/src/model.dart. A folder exists through the files under it, or
+  // through state.folders for one created (or left) empty.
+  function folderOf(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+  }
+
+  function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  // Every folder, with its ancestors.
+  function allFolders() {
+    const folders = new Set();
+    const add = (dir) => {
+      for (let d = dir; d && !folders.has(d); d = folderOf(d)) folders.add(d);
+    };
+    Object.keys(state.files).forEach(f => add(folderOf(f)));
+    state.folders.forEach(add);
+    return folders;
+  }
+
+  // The path typed into a prompt, or null if it is not a valid project path.
+  function cleanPath(input) {
+    const path = String(input || '').trim().replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    const segments = path.split('/');
+    if (!path || segments.some(seg => !seg.trim() || seg === '.' || seg === '..')) return null;
+    return path;
+  }
+
+  // Why `path` cannot be created, or null.
+  function pathProblem(path) {
+    if (!path) return 'パスが正しくありません';
+    if (path in state.files || allFolders().has(path)) return '同名のファイルまたはフォルダが既にあります';
+    for (let d = folderOf(path); d; d = folderOf(d)) {
+      if (d in state.files) return `${d} はファイルです`;
+    }
+    return null;
+  }
+
+  // Keeps the folder of a file that is deleted or moved away, even if it
+  // was the last one in it.
+  function keepFolder(file) {
+    const dir = folderOf(file);
+    if (dir && !state.folders.includes(dir)) state.folders.push(dir);
+  }
+
+  function promptNewFile() {
+    const dir = folderOf(state.active);
+    const input = prompt('新しいDartファイルのパスを入力 (例: lib/src/utils.dart)', dir ? `${dir}/` : '');
+    if (!input) return;
+    const name = cleanPath(input);
+    if (name && !name.endsWith('.dart')) { alert('拡張子は .dart にしてください'); return; }
+    const problem = pathProblem(name);
+    if (problem) { alert(problem); return; }
+    state.files[name] = `// ${name}\n`;
+    persist();
+    setActive(name);
+    renderFileList();
+  }
+
+  function promptNewFolder() {
+    const dir = folderOf(state.active);
+    const input = prompt('新しいフォルダのパスを入力 (例: lib/src)', dir ? `${dir}/` : '');
+    if (!input) return;
+    const path = cleanPath(input);
+    const problem = pathProblem(path);
+    if (problem) { alert(problem); return; }
+    state.folders.push(path);
+    persist();
+    renderFileList();
+  }
+
+  // Renames/moves files (a Map of old path → new path). Undo history, folds,
+  // tabs and run configurations follow the files, and relative directives in
+  // every file are rewritten so they keep pointing at the same files.
+  function movePaths(moves) {
+    const rename = f => moves.get(f) || f;
+    const rewritten = {};
+    Object.keys(state.files).forEach((name) => {
+      const text = rewriteDirectiveUris(state.files[name], (d) => {
+        if (!isRelativeUri(d.uri)) return null;
+        const target = resolveRelative(name, d.uri);
+        if (target === null || !(target in state.files) || (!moves.has(name) && !moves.has(target))) return null;
+        return relativeUri(rename(name), rename(target));
+      });
+      if (text !== null) rewritten[rename(name)] = text;
+    });
+
+    const files = {};
+    Object.keys(state.files).forEach((f) => { files[rename(f)] = state.files[f]; });
+    state.files = files;
+    ['undoHistory', 'folds'].forEach((key) => {
+      const moved = {};
+      Object.keys(state[key]).forEach((f) => { moved[rename(f)] = state[key][f]; });
+      state[key] = moved;
+    });
+    Object.keys(rewritten).forEach((name) => {
+      recordEdit(name, state.files[name], rewritten[name], 0);
+      state.files[name] = rewritten[name];
+    });
+    state.active = rename(state.active);
+    state.layout.tabs = state.layout.tabs.map(rename);
+    state.layout.panes = state.layout.panes.map(rename);
+    state.runConfigs.forEach((c) => { c.entry = rename(c.entry); });
+    persist();
+    renderFileList();
+    setActive(state.active);
+    const count = Object.keys(rewritten).length;
+    if (count) setStatus(`${count} ファイルの import を更新しました`);
+  }
+
+  function promptRename(oldName) {
+    const input = prompt('新しいパス (フォルダを変えると移動)', oldName);
+    if (!input) return;
+    const name = cleanPath(input);
+    if (name === oldName) return;
+    if (name && !name.endsWith('.dart')) { alert('拡張子は .dart にしてください'); return; }
+    const problem = pathProblem(name);
+    if (problem) { alert(problem); return; }
+    keepFolder(oldName);
+    movePaths(new Map([[oldName, name]]));
+  }
+
+  function promptRenameFolder(dir) {
+    const input = prompt('フォルダの新しいパス (親を変えると移動)', dir);
+    if (!input) return;
+    moveFolder(dir, cleanPath(input));
+  }
+
+  function moveFolder(dir, target) {
+    if (target === dir) return;
+    if (target && target.startsWith(`${dir}/`)) { alert('フォルダをそれ自身の中へは移動できません'); return; }
+    const problem = pathProblem(target);
+    if (problem) { alert(problem); return; }
+    const move = d => (d === dir || d.startsWith(`${dir}/`) ? target + d.slice(dir.length) : d);
+    state.folders = state.folders.map(move);
+    state.layout.collapsed = state.layout.collapsed.map(move);
+    movePaths(new Map(Object.keys(state.files).filter(f => f.startsWith(`${dir}/`)).map(f => [f, move(f)])));
+  }
+
+  // Drag and drop: moves a file or folder into folder `dir` ('' = root).
+  function moveInto(path, dir) {
+    if (!path) return;
+    const target = dir ? `${dir}/${baseName(path)}` : baseName(path);
+    if (target === path) return;
+    if (path in state.files) {
+      const problem = pathProblem(target);
+      if (problem) { alert(problem); return; }
+      keepFolder(path);
+      movePaths(new Map([[path, target]]));
+    } else {
+      moveFolder(path, target);
+    }
+  }
+
+  function promptDelete(name) {
+    if (Object.keys(state.files).length === 1) { alert('最低1ファイルは必要です'); return; }
+    if (!confirm(`${name} を削除しますか？`)) return;
+    delete state.files[name];
+    delete state.undoHistory[name];
+    delete state.folds[name];
+    keepFolder(name);
+    ensureRunConfigs();
+    ensureLayout();
+    persist();
+    renderRunConfigs();
+    renderFileList();
+    setActive(state.active);
+  }
+
+  function promptDeleteFolder(dir) {
+    const inside = Object.keys(state.files).filter(f => f.startsWith(`${dir}/`));
+    if (inside.length === Object.keys(state.files).length) { alert('最低1ファイルは必要です'); return; }
+    const question = inside.length ? `${dir} と中の ${inside.length} ファイルを削除しますか？` : `${dir} を削除しますか？`;
+    if (!confirm(question)) return;
+    inside.forEach((f) => {
+      delete state.files[f];
+      delete state.undoHistory[f];
+      delete state.folds[f];
+    });
+    const gone = d => d === dir || d.startsWith(`${dir}/`);
+    state.folders = state.folders.filter(d => !gone(d));
+    state.layout.collapsed = state.layout.collapsed.filter(d => !gone(d));
+    ensureRunConfigs();
+    ensureLayout();
+    persist();
+    renderRunConfigs();
+    renderFileList();
+    setActive(state.active);
+  }
+
+  /*** ---------- Tabs & split view ---------- ***/
+  // One tab strip for the open files (state.layout.tabs); a tab opens its
+  // file in the focused pane. A dot marks files with edits not yet written
+  // to storage (see persist()). Splitting shows a second pane, at first on
+  // the same file, so two files or two places in one file are visible.
+  function openTab(name) {
+    const { tabs } = state.layout;
+    if (!tabs.includes(name)) tabs.splice(tabs.indexOf(state.layout.panes[state.layout.focus]) + 1, 0, name);
+    state.layout.panes[panes.indexOf(currentPane)] = name;
+  }
+
+  function closeTab(name) {
+    const { tabs } = state.layout;
+    if (tabs.length === 1 || !tabs.includes(name)) return;
+    const index = tabs.indexOf(name);
+    tabs.splice(index, 1);
+    const next = tabs[Math.min(index, tabs.length - 1)];
+    state.layout.panes.forEach((file, i) => {
+      if (file === name && panes[i] !== currentPane) {
+        state.layout.panes[i] = next;
+        panes[i].text = null;
+      }
+    });
+    if (state.active === name) {
+      setActive(next);
+    } else {
+      refreshOtherPanes();
+      renderTabs();
+      persist();
+    }
+  }
+
+  function isUnsaved(name) {
+    return state.files[name] !== savedFiles[name];
+  }
+
+  function renderTabs() {
+    const { tabs, split, panes: shown, focus } = state.layout;
+    UI.tabs.innerHTML = '';
+    tabs.forEach((name) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', String(name === state.active));
+      tab.className = 'tab' + (name === state.active ? ' active' : '') +
+        (split && name !== state.active && shown[1 - focus] === name ? ' shown' : '') +
+        (isUnsaved(name) ? ' dirty' : '');
+      tab.title = isUnsaved(name) ? `${name}（未保存の変更あり）` : name;
+      tab.textContent = name;
+      tab.addEventListener('click', () => setActive(name));
+      tab.addEventListener('auxclick', (e) => {
+        if (e.button === 1) closeTab(name);
+      });
+
+      const mark = document.createElement('span');
+      mark.className = 'tab-mark';
+      if (isUnsaved(name)) mark.innerHTML = '<span class="tab-dirty"></span>';
+      tab.appendChild(mark);
+      if (tabs.length > 1) {
+        const close = document.createElement('span');
+        close.className = 'tab-mark tab-close';
+        close.textContent = '×';
+        close.title = '閉じる';
+        close.addEventListener('click', (e) => {
+          e.stopPropagation();
+          closeTab(name);
+        });
+        tab.appendChild(close);
+      }
+      UI.tabs.appendChild(tab);
+    });
+  }
+
+  // Typing only re-renders the strip when the active tab gains its mark.
+  function noteTabEdit() {
+    if (!UI.tabs.querySelector('.tab.active.dirty')) renderTabs();
+  }
+
+  // Makes `pane` current: its elements go into UI, its fold state into
+  // editorFolds / lastView, and state.active becomes its file.
+  function usePane(pane) {
+    if (pane === currentPane) return;
+    currentPane.folds = editorFolds;
+    currentPane.lastView = lastView;
+    currentPane = pane;
+    UI.editor = pane.editor;
+    UI.highlight = pane.highlight;
+    UI.lineNums = pane.lineNums;
+    UI.completion = pane.completion;
+    editorFolds = pane.folds;
+    lastView = pane.lastView;
+    state.active = state.layout.panes[panes.indexOf(pane)];
+  }
+
+  function withPane(pane, fn) {
+    const previous = currentPane;
+    usePane(pane);
+    try {
+      fn();
+    } finally {
+      usePane(previous);
+    }
+  }
+
+  function focusPane(index) {
+    if (panes[index] === currentPane) return;
+    clearTimeout(lnTimer);
+    closeCompletion();
+    refreshEditor();
+    usePane(panes[index]);
+    state.layout.focus = index;
+    UI.filenameTitle.textContent = state.active;
+    panes.forEach((p, i) => p.wrap.classList.toggle('focused', i === index));
+    renderOutline();
+    renderFileList();
+    renderTabs();
+    persist();
+  }
+
+  // Re-renders unfocused panes whose file changed since they were drawn,
+  // keeping their scroll position and selection.
+  function refreshOtherPanes() {
+    panes.forEach((pane) => {
+      if (pane === currentPane || pane.wrap.hidden || pane.text === state.files[state.layout.panes[panes.indexOf(pane)]]) return;
+      withPane(pane, () => {
+        const { scrollTop, scrollLeft } = UI.editor;
+        const selStart = viewToFull(UI.editor.selectionStart);
+        const selEnd = viewToFull(UI.editor.selectionEnd);
+        renderEditorText();
+        UI.editor.setSelectionRange(fullToView(selStart), fullToView(selEnd));
+        UI.editor.scrollTop = scrollTop;
+        UI.editor.scrollLeft = scrollLeft;
+        refreshEditor();
+      });
+    });
+  }
+
+  // Shows the panes of state.layout and makes its focused pane current.
+  function applyLayout() {
+    const { split, focus } = state.layout;
+    usePane(panes[focus]);
+    UI.editorPanes.classList.toggle('split', split);
+    panes.forEach((pane, i) => {
+      pane.wrap.hidden = i > 0 && !split;
+      pane.wrap.classList.toggle('focused', i === focus);
+      if (i !== focus) pane.text = null;
+    });
+    UI.splitBtn.setAttribute('aria-pressed', String(split));
+  }
+
+  // Splitting opens the current file in the right pane and focuses it;
+  // unsplitting keeps the focused pane's file and position on the left.
+  function toggleSplit() {
+    const layout = state.layout;
+    const selStart = viewToFull(UI.editor.selectionStart);
+    const selEnd = viewToFull(UI.editor.selectionEnd);
+    const { scrollTop } = UI.editor;
+    if (layout.split) {
+      layout.split = false;
+      layout.panes[0] = state.active;
+      layout.focus = 0;
+    } else {
+      layout.split = true;
+      layout.panes[1] = state.active;
+      layout.focus = 1;
+    }
+    closeCompletion();
+    applyLayout();
+    setActive(state.active);
+    UI.editor.focus();
+    UI.editor.setSelectionRange(fullToView(selStart), fullToView(selEnd));
+    UI.editor.scrollTop = scrollTop;
+  }
+
+  /*** ---------- Run configurations ---------- ***/
+  function hasMain(source) {
+    return /^\s*(?:[\w<>?]+\s+)?main\s*\(/m.test(source || '');
+  }
+
+  // Why `config` can't be run, or null. Library-only projects (a package
+  // imported without bin/ or web/) have no file with main().
+  function entryProblem(config) {
+    if (!state.files[config.entry]) return `${config.entry} が存在しません`;
+    return hasMain(state.files[config.entry]) ? null : `エントリポイントがありません (${config.entry} に main() がありません)`;
+  }
+
+  // Splits a command line into args, honouring '...' and "..." quoting.
+  function parseArgs(line) {
+    const args = [];
+    const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let m;
+    while ((m = re.exec(line || ''))) args.push(m[1] ?? m[2] ?? m[3]);
+    return args;
+  }
+  function formatArgs(args) {
+    return args.map(a => (/[\s'"]/.test(a) ? JSON.stringify(a) : a)).join(' ');
+  }
+
+  function renderRunConfigs() {
+    UI.runConfigSelect.innerHTML = '';
+    state.runConfigs.forEach((c) => {
+      const opt = document.createElement('option');
+      opt.value = c.name;
+      opt.textContent = `${c.name} (${c.entry})`;
+      opt.selected = c.name === state.activeConfig;
+      UI.runConfigSelect.appendChild(opt);
+    });
+    const add = document.createElement('option');
+    add.value = '';
+    add.textContent = '＋ 新しい構成…';
+    UI.runConfigSelect.appendChild(add);
+  }
+
+  function setEntryPoint(name) {
+    currentRunConfig().entry = name;
+    persist();
+    renderRunConfigs();
+    renderFileList();
+    setStatus(`エントリポイント: ${name}`);
+  }
+
+  // Prompt chain shared by "new" and "edit"; returns null when cancelled.
+  function promptRunConfig(base) {
+    const name = prompt('構成名', base.name);
+    if (!name) return null;
+    if (name !== base.name && state.runConfigs.some(c => c.name === name)) {
+      alert('同名の構成が既にあります'); return null;
+    }
+    const entry = prompt('エントリポイント (main() を持つファイル)', base.entry);
+    if (!entry) return null;
+    if (!state.files[entry]) { alert(`${entry} が存在しません`); return null; }
+    if (!hasMain(state.files[entry])) { alert(`${entry} に main() がありません`); return null; }
+    const args = prompt('コマンドライン引数 (main(List<String> args) に渡されます)', formatArgs(base.args || []));
+    if (args === null) return null;
+    const flagsLine = prompt(
+      `ランタイムフラグ (DDC セッションのみ。カンマ区切り: ${RUNTIME_FLAGS.join(', ')})`,
+      RUNTIME_FLAGS.filter(f => base.flags && base.flags[f]).join(', ')
+    );
+    if (flagsLine === null) return null;
+    const flags = {};
+    for (const f of flagsLine.split(',').map(s => s.trim()).filter(Boolean)) {
+      if (!RUNTIME_FLAGS.includes(f)) { alert(`不明なフラグ: ${f}`); return null; }
+      flags[f] = true;
+    }
+    return { name, entry, args: parseArgs(args), flags };
+  }
+
+  function newRunConfig() {
+    const config = promptRunConfig({ ...DEFAULT_RUN_CONFIG, name: '', entry: state.active });
+    if (config) {
+      state.runConfigs.push(config);
+      state.activeConfig = config.name;
+      persist();
+    }
+    renderRunConfigs();
+    renderFileList();
+  }
+
+  function editRunConfig() {
+    const current = currentRunConfig();
+    const config = promptRunConfig(current);
+    if (!config) return;
+    Object.assign(current, config);
+    state.activeConfig = config.name;
+    persist();
+    renderRunConfigs();
+    renderFileList();
+  }
+
+  /*** ---------- Project linking (multi-file) ---------- ***/
+  // dart2js in dart_sdk_new.js only takes a single source buffer, so the files
+  // reachable from the entry point are linked into one library: relative
+  // import/export/part directives are resolved against state.files and
+  // dropped, dart:/package: imports are hoisted and de-duplicated. What one
+  // library can't express is reported instead: dart:/package: exports and
+  // top-level names declared in more than one file.
+  const DIRECTIVE_RE = /^(import|export|part|library)\b[^;]*;/;
+
+  // null when `..` climbs above the project root.
+  function normalizePath(path) {
+    const out = [];
+    for (const seg of path.split('/')) {
+      if (seg === '' || seg === '.') continue;
+      if (seg !== '..') out.push(seg);
+      else if (out.pop() === undefined) return null;
+    }
+    return out.join('/');
+  }
+
+  function resolveRelative(fromFile, uri) {
+    const dir = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/') + 1) : '';
+    return normalizePath(dir + uri);
+  }
+
+  // The inverse: the relative URI that `fromFile` uses to reach `toFile`.
+  function relativeUri(fromFile, toFile) {
+    const from = fromFile.split('/').slice(0, -1);
+    const to = toFile.split('/');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+  }
+
+  // Scans the directive header of a Dart file (everything before the first
+  // declaration). Comments and blank lines are skipped.
+  function parseDirectives(source) {
+    const directives = [];
+    let i = 0;
+    while (i < source.length) {
+      const rest = source.slice(i);
+      const ws = /^\s+/.exec(rest);
+      if (ws) { i += ws[0].length; continue; }
+      if (rest.startsWith('//')) {
+        const nl = rest.indexOf('\n');
+        i += nl < 0 ? rest.length : nl + 1;
+        continue;
+      }
+      if (rest.startsWith('/*')) {
+        const end = rest.indexOf('*/');
+        i += end < 0 ? rest.length : end + 2;
+        continue;
+      }
+      const m = DIRECTIVE_RE.exec(rest);
+      if (!m) break;
+      const text = m[0];
+      const uri = (/['"]([^'"]*)['"]/.exec(text) || [])[1] || null;
+      directives.push({
+        kind: /^part\s+of\b/.test(text) ? 'part of' : m[1],
+        uri,
+        text,
+        start: i,
+        end: i + text.length,
+        prefixed: /\bas\s+\w+/.test(text)
+      });
+      i += text.length;
+    }
+    return directives;
+  }
+
+  // Replaces directive URIs with what `rewrite(directive)` returns (null keeps
+  // the URI). Returns the new source, or null when nothing changed.
+  function rewriteDirectiveUris(source, rewrite) {
+    let out = '';
+    let pos = 0;
+    parseDirectives(source).forEach((d) => {
+      const uri = d.uri && rewrite(d);
+      if (!uri || uri === d.uri) return;
+      const at = d.start + /['"]/.exec(d.text).index + 1;
+      out += source.slice(pos, at) + uri;
+      pos = at + d.uri.length;
+    });
+    return pos ? out + source.slice(pos) : null;
+  }
+
+  // Errors that point at a spot in a project file; the analysis panel turns
+  // them into diagnostics.
+  function projectError(file, offset, message) {
+    return Object.assign(new Error(`${file}: ${message}`), { file, offset, detail: message });
+  }
+
+  function isRelativeUri(uri) {
+    return !!uri && !/^[a-z][\w+.-]*:/i.test(uri);
+  }
+
+  // Walks the files reachable from `entry` through relative directives and
+  // returns them dependencies-first as { name, directives, deps, parts }.
+  // Throws with the importing file's name when a target is missing.
+  function walkProject(entry) {
+    if (!state.files[entry]) throw new Error(`${entry} が存在しません`);
+    const visited = new Set();
+    const order = [];
+
+    const visit = (name) => {
+      if (visited.has(name)) return;
+      visited.add(name);
+      const directives = parseDirectives(state.files[name]);
+      const deps = [];
+      const parts = [];
+      directives.forEach((d) => {
+        if (d.kind === 'library' || d.kind === 'part of' || !isRelativeUri(d.uri)) return;
+        const target = resolveRelative(name, d.uri);
+        if (target === null) {
+          throw projectError(name, d.start, `${d.kind} '${d.uri}' はプロジェクトの外を指しています`);
+        }
+        if (!state.files[target]) {
+          throw projectError(name, d.start, `${d.kind} '${d.uri}' のファイル ${target} が見つかりません`);
+        }
+        (d.kind === 'part' ? parts : deps).push({ directive: d, target });
+        visit(target);
+      });
+      order.push({ name, directives, deps, parts });
+    };
+    visit(entry);
+    return order;
+  }
+
+  // Reported at the later declaration. A getter/setter pair counts once.
+  function checkNameCollisions(files) {
+    const declaredIn = new Map();  // name → file
+    files.forEach(({ name: file }) => {
+      const own = new Map();
+      fileDeclarations(file).forEach((d) => {
+        if (!d.container && !own.has(d.name)) own.set(d.name, d);
+      });
+      own.forEach((d, name) => {
+        if (declaredIn.has(name)) {
+          throw projectError(file, d.offset, `トップレベルの '${name}' が ${declaredIn.get(name)} と重複しています (ファイルは 1 つのライブラリに結合されます)`);
+        }
+        declaredIn.set(name, file);
+      });
+    });
+  }
+
+  // Returns { source, segments } where each segment { file, start, lines,
+  // from } says that `lines` lines of the linked source from line `start` are
+  // that file's, starting at its line `from`. Each hoisted import has one,
+  // pointing at the directive it came from.
+  function linkProject(entry) {
+    const externalImports = [];
+    const files = walkProject(entry);
+    files.forEach(({ name, directives, deps }) => {
+      deps.forEach(({ directive }) => {
+        if (directive.prefixed) {
+          throw projectError(name, directive.start, `プロジェクト内ファイルの prefix 付き import ('${directive.uri}' as …) は未対応です`);
+        }
+      });
+      directives.forEach((d) => {
+        if (d.kind === 'export' && !isRelativeUri(d.uri)) {
+          throw projectError(name, d.start, `'${d.uri}' の export は未対応です (import に置き換えてください)`);
+        }
+      });
+    });
+    checkNameCollisions(files);
+    const bodies = files.map(({ name, directives }) => {
+      let body = state.files[name];
+      // Walk backwards so earlier offsets stay valid while blanking.
+      directives.slice().reverse().forEach((d) => {
+        // Keep line numbers stable: replace the directive with its newlines.
+        body = body.slice(0, d.start) + d.text.replace(/[^\n]/g, '') + body.slice(d.end);
+      });
+      directives.forEach((d) => {
+        if (d.kind === 'import' && !isRelativeUri(d.uri) && !externalImports.some(x => x.text === d.text)) {
+          externalImports.push({ text: d.text, file: name, from: offsetToPosition(state.files[name], d.start).line });
+        }
+      });
+      return { name, body };
+    });
+
+    let source = '';
+    let line = 1;
+    const segments = [];
+    externalImports.forEach(({ text, file, from }) => {
+      const lines = text.split('\n').length;
+      segments.push({ file, start: line, lines, from });
+      source += text + '\n';
+      line += lines;
+    });
+    bodies.forEach(({ name, body }) => {
+      source += `// ---- ${name} ----\n`;
+      line += 1;
+      segments.push({ file: name, start: line, lines: body.split('\n').length, from: 1 });
+      source += body + '\n';
+      line += body.split('\n').length;
+    });
+    return { source, segments };
+  }
+
+  /*** ---------- Compile worker ---------- ***/
+  // dart_sdk_new.js runs inside compile_worker.js so the editor stays
+  // responsive. Requests are matched to replies by id and tagged with their
+  // owner: 'run' (Run), 'ddc' (hot reload / restart), 'repl' or 'analysis'.
+  // Cancelling rejects only the given owners' requests. Stopping one the
+  // worker has started means terminating it, so the other pending requests
+  // are then re-sent to a fresh worker.
+  const USER_COMPILES = ['run', 'ddc'];  // what the Cancel button stops
+  let compileWorker = null;
+  let compileSeq = 0;
+  const pendingCompiles = new Map();  // id → { request, owner, started, resolve, reject }
+  // Resolves with the version string the first worker to start reports ('' if
+  // the SDK has none), or null when the worker fails before that.
+  let compilerVersion = null;
+  let settleVersion = null;
+  let ddcAvailable = false;  // as reported with the version
+
+  function ensureCompileWorker() {
+    if (compileWorker) return compileWorker;
+    compileWorker = new Worker('compile_worker.js');
+    if (!compilerVersion) compilerVersion = new Promise((resolve) => { settleVersion = resolve; });
+    compileWorker.addEventListener('message', (e) => {
+      const { type, id } = e.data || {};
+      if (type === 'version') {
+        if (settleVersion) settleVersion(e.data.version || '');
+        settleVersion = null;
+        ddcAvailable = !!e.data.ddc;
+        renderDdcAvailability();
+        return;
+      }
+      const pending = pendingCompiles.get(id);
+      if (!pending) return;
+      if (type === 'progress') {
+        pending.started = true;
+        if (pending.owner !== 'analysis') setStatus(`コンパイル中… (${e.data.message})`);
+        return;
+      }
+      pendingCompiles.delete(id);
+      if (type === 'result') pending.resolve({ js: e.data.js, log: e.data.log || '' });
+      else pending.reject(new Error(e.data.message));
+      updateCompileBusy();
+    });
+    compileWorker.addEventListener('error', (e) => {
+      e.preventDefault();
+      if (settleVersion) {
+        settleVersion(null);
+        settleVersion = null;
+        compilerVersion = null;
+      }
+      failPendingCompiles(new Error('コンパイルワーカーのエラー: ' + (e.message || 'unknown')));
+      compileWorker.terminate();
+      compileWorker = null;
+    });
+    return compileWorker;
+  }
+
+  function requestCompile(request, owner) {
+    const worker = ensureCompileWorker();
+    const id = ++compileSeq;
+    return new Promise((resolve, reject) => {
+      pendingCompiles.set(id, { request, owner, started: false, resolve, reject });
+      updateCompileBusy();
+      worker.postMessage({ type: 'compile', id, ...request });
+    });
+  }
+
+  function failPendingCompiles(error) {
+    pendingCompiles.forEach(p => p.reject(error));
+    pendingCompiles.clear();
+    updateCompileBusy();
+  }
+
+  // Returns whether anything was cancelled. A cancelled request the worker
+  // hasn't started yet is simply forgotten; its reply is ignored.
+  function cancelCompile(owners = USER_COMPILES) {
+    const cancelled = [...pendingCompiles].filter(([, p]) => owners.includes(p.owner));
+    if (cancelled.length === 0) return false;
+    const error = Object.assign(new Error('コンパイルをキャンセルしました'), { cancelled: true });
+    cancelled.forEach(([id, p]) => {
+      pendingCompiles.delete(id);
+      p.reject(error);
+    });
+    if (cancelled.some(([, p]) => p.started)) {
+      compileWorker.terminate();
+      compileWorker = null;
+      if (pendingCompiles.size > 0) {
+        const worker = ensureCompileWorker();
+        pendingCompiles.forEach((p, id) => {
+          p.started = false;
+          worker.postMessage({ type: 'compile', id, ...p.request });
+        });
+      }
+    }
+    updateCompileBusy();
+    return true;
+  }
+
+  function updateCompileBusy() {
+    UI.cancelBtn.hidden = ![...pendingCompiles.values()].some(p => USER_COMPILES.includes(p.owner));
+  }
+
+  /*** ---------- IndexedDB helpers ---------- ***/
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  function idbDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+  function openDB(name, version, upgrade) {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion, req.transaction);
+    return idbRequest(req);
+  }
+
+  /*** ---------- Compile cache ---------- ***/
+  // Compiled JS keyed by a SHA-256 of everything the compiler sees (sources
+  // and options) and the compiler's version, so unchanged projects re-run
+  // without compiling and an SDK update never serves stale output. When the
+  // worker can't name its version the cache is bypassed. Entries
+  // live in IndexedDB: `meta` ({ key, size, lastUsed }) is small enough to
+  // scan for LRU eviction, `js` holds the output as { js, log }. Without
+  // IndexedDB or crypto.subtle (non-secure origins) the cache is simply
+  // bypassed.
+  const CACHE_DB = 'dartpad_mini_compile_cache';
+  const CACHE_MAX_BYTES = 50 * 1024 * 1024;
+  let cacheDB = null;
+
+  function compileCacheDB() {
+    if (!cacheDB) {
+      cacheDB = openDB(CACHE_DB, 1, (db) => {
+        db.createObjectStore('meta', { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        db.createObjectStore('js');
+      }).catch(() => null);
+    }
+    return cacheDB;
+  }
+
+  async function compileCacheKey(request) {
+    if (!window.crypto || !crypto.subtle) return null;
+    ensureCompileWorker();
+    const version = await compilerVersion;
+    if (!version) return null;
+    const decoder = new TextDecoder();
+    const parts = [version, request.compiler, JSON.stringify(request.options || {})];
+    if (request.compiler === 'ddc') {
+      parts.push(request.uri);
+      Object.keys(request.sources).sort().forEach((uri) => {
+        parts.push(uri, decoder.decode(request.sources[uri]));
+      });
+    } else {
+      parts.push(decoder.decode(request.source));
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(parts.join('\0')));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function cacheGet(key) {
+    const db = await compileCacheDB();
+    if (!db || !key) return null;
+    const tx = db.transaction(['meta', 'js'], 'readwrite');
+    const meta = await idbRequest(tx.objectStore('meta').get(key));
+    if (!meta) return null;
+    const result = await idbRequest(tx.objectStore('js').get(key));
+    tx.objectStore('meta').put({ ...meta, lastUsed: Date.now() });
+    await idbDone(tx);
+    if (typeof result === 'string') return { js: result, log: '' };  // cached before logs were kept
+    return result || null;
+  }
+
+  async function cachePut(key, result) {
+    const db = await compileCacheDB();
+    if (!db || !key) return;
+    const size = (result.js.length + result.log.length) * 2;
+    if (size > CACHE_MAX_BYTES) return;
+    const tx = db.transaction(['meta', 'js'], 'readwrite');
+    tx.objectStore('meta').put({ key, size, lastUsed: Date.now() });
+    tx.objectStore('js').put(result, key);
+    await idbDone(tx);
+    await evictCache(db);
+  }
+
+  // Drops least-recently-used entries until the total fits CACHE_MAX_BYTES.
+  async function evictCache(db) {
+    const tx = db.transaction(['meta', 'js'], 'readwrite');
+    const metas = await idbRequest(tx.objectStore('meta').index('lastUsed').getAll());
+    let total = metas.reduce((sum, m) => sum + m.size, 0);
+    for (const m of metas) {
+      if (total <= CACHE_MAX_BYTES) break;
+      tx.objectStore('meta').delete(m.key);
+      tx.objectStore('js').delete(m.key);
+      total -= m.size;
+    }
+    await idbDone(tx);
+  }
+
+  async function clearCompileCache() {
+    const db = await compileCacheDB();
+    if (!db) { setStatus('キャッシュは利用できません', true); return; }
+    try {
+      const tx = db.transaction(['meta', 'js'], 'readwrite');
+      tx.objectStore('meta').clear();
+      tx.objectStore('js').clear();
+      await idbDone(tx);
+    } catch (e) {
+      setStatus('キャッシュを削除できませんでした: ' + (e && e.message), true);
+      return;
+    }
+    setStatus('コンパイルキャッシュを削除しました');
+  }
+
+  // requestCompile with the cache in front; both resolve with { js, log }.
+  // Cache failures never fail a compile; they only cost the speed-up.
+  async function cachedCompile(request, owner) {
+    const key = await compileCacheKey(request).catch(() => null);
+    const hit = await cacheGet(key).catch(() => null);
+    if (hit) return hit;
+    const result = await requestCompile(request, owner);
+    cachePut(key, result).catch(() => {});
+    return result;
+  }
+
+  /*** ---------- Compile & Run via dart_sdk_new.js ---------- ***/
+  // Compiles the project for `config` with dart2js and resolves with
+  // { js, diagnostics }, the warnings and hints of a successful compile.
+  // Compiler errors carry the link segments so their line numbers can be
+  // mapped back to project files.
+  async function compileProject(config, owner = 'run') {
+    const { source, segments } = linkProject(config.entry);
+    const encoder = new TextEncoder();
+    const sourceBytes = encoder.encode(source);
+
+    let result;
+    try {
+      // Uint8Array 形式で渡す。ランタイムフラグは DDC 専用なので渡さない
+      result = await cachedCompile({ compiler: 'dart2js', source: sourceBytes, options: {} }, owner);
+    } catch (e) {
+      throw e.cancelled ? e : Object.assign(e, { segments });
+    }
+    // Nothing the compiler printed stopped it, so untagged lines are warnings.
+    const diagnostics = parseDiagnostics(result.log, segments)
+      .map(d => d.severity === 'error' ? { ...d, severity: 'warning' } : d);
+    return { js: result.js, diagnostics };
+  }
+
+  async function compileAndRun() {
+  // A new run supersedes the one still compiling.
+  cancelCompile(['run']);
+  const problem = entryProblem(currentRunConfig());
+  if (problem) { setStatus(problem, true); return; }
+  setStatus('コンパイル中…');
+  clearConsole();
+
+  try {
+    if (state.settings.formatOnRun) await formatFiles(Object.keys(state.files), { preview: false });
+    const config = currentRunConfig();
+    const { js, diagnostics: warnings } = await compileProject(config);
+    showDiagnostics(warnings);
+    warnings.forEach(d => appendConsole('warn', `${d.file}:${d.line}:${d.column}: ${d.message}`));
+
+    setStatus('実行中…');
+    runInIframe(js, config.args);
+    if (RUNTIME_FLAGS.some(f => config.flags && config.flags[f])) {
+      appendConsole('info', 'ランタイムフラグは DDC セッション (ホットリロード / リスタート) でのみ有効です');
+    }
+    setStatus('完了');
+  } catch (e) {
+    if (e.cancelled) { setStatus(e.message); return; }
+    showDiagnostics(diagnosticsFromError(e));
+    setStatus('コンパイル失敗: ' + e.message, true);
+    appendConsole('error', e.stack || String(e));
+    appendConsole('error', e.message || e);
+  }
+}
+
+  let dart2jsRunning = false;  // the preview holds a program started by Run
+
+  function runInIframe(compiledJS, args = []) {
+    disposeDdcSession();
+    dart2jsRunning = true;
+    // dart2js output calls self.dartMainRunner(main, args) when it is defined.
+    const argsJSON = JSON.stringify(args).replace(/</g, '\\u003c');
+    loadPreview(`
+    <script>self.dartMainRunner=function(main){ return main(${argsJSON}); };<\/script>
+    <script>${compiledJS}<\/script>`);
+  }
+
+  // Boots a preview document: console bridge and host message handlers first,
+  // then the caller's script tags.
+  function loadPreview(scriptTags) {
+    const html = `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+  <body style="margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,'Noto Sans JP',sans-serif;">
+    <div id="app" style="padding:12px"></div>
+    <script>(${previewPrelude})();<\/script>${scriptTags}
+  </body>
+</html>`;
+    UI.preview.src = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  }
+
+  // Runs inside the preview iframe (injected through its source text, so it
+  // must not reference anything from this file).
+  function previewPrelude() {
+    const MAX_DEPTH = 4;
+    const MAX_ENTRIES = 100;
+    const MAX_STRING = 10000;
+
+    // Converts a value into a structured-clone-safe tree for the host console:
+    // { t, v?, name?, size?, entries?: [[key, node]], more?, stack? }.
+    const serialize = (value, depth, seen) => {
+      const type = typeof value;
+      if (value === null) return { t: 'null' };
+      if (type === 'undefined') return { t: 'undefined' };
+      if (type === 'string') {
+        return { t: 'string', v: value.length > MAX_STRING ? value.slice(0, MAX_STRING) + '…' : value };
+      }
+      if (type === 'number' || type === 'boolean') return { t: type, v: value };
+      if (type === 'bigint' || type === 'symbol') return { t: type, v: String(value) };
+      if (type === 'function') return { t: 'function', v: value.name || '(anonymous)' };
+      if (seen.includes(value)) return { t: 'circular' };
+      if (value instanceof Error) {
+        return { t: 'error', name: value.name, v: value.message, stack: String(value.stack || '') };
+      }
+      if (value instanceof Date) return { t: 'date', v: isNaN(value) ? 'Invalid Date' : value.toISOString() };
+      if (value instanceof RegExp) return { t: 'regexp', v: String(value) };
+      if (value instanceof Node) {
+        const id = value.id ? '#' + value.id : '';
+        return { t: 'dom', v: value.nodeType === 1 ? `<${value.tagName.toLowerCase()}${id}>` : value.nodeName };
+      }
+      let name = 'Object';
+      try { name = (value.constructor && value.constructor.name) || 'Object'; } catch (_) { /* exotic */ }
+      let t = 'object';
+      let items = dartItems(value);
+      if (items) {
+        ({ t, name } = items);
+        items = items.items;
+      } else if (Array.isArray(value)) {
+        t = 'array';
+        items = value.map((v, i) => [String(i), v]);
+      } else if (value instanceof Map) {
+        t = 'map';
+        items = Array.from(value, ([k, v]) => [typeof k === 'string' ? k : String(k), v]);
+      } else if (value instanceof Set) {
+        t = 'set';
+        items = Array.from(value, (v, i) => [String(i), v]);
+      } else {
+        items = Object.keys(value).map((k) => {
+          try { return [k, value[k]]; } catch (e) { return [k, e]; }
+        });
+      }
+      if (depth >= MAX_DEPTH) return { t: 'truncated', name, size: items.length, kind: t };
+      const next = seen.concat([value]);
+      return {
+        t,
+        name,
+        size: items.length,
+        entries: items.slice(0, MAX_ENTRIES).map(([k, v]) => [k, serialize(v, depth + 1, next)]),
+        more: items.length > MAX_ENTRIES
+      };
+    };
+    // Dart objects from a DDC app keep their fields behind the runtime, so
+    // they are unpacked through dartDevEmbedder.debugger. Returns null for
+    // plain JS values (and for dart2js output, where there is no embedder).
+    const dartItems = (value) => {
+      const dbg = self.dartDevEmbedder && dartDevEmbedder.debugger;
+      if (!dbg || Array.isArray(value)) return null;
+      let meta;
+      try { meta = dbg.getObjectMetadata(value); } catch (_) { return null; }
+      if (!meta || !meta.className) return null;
+      const name = meta.className;
+      try {
+        switch (meta.runtimeKind) {
+          case 'map': {
+            const els = dbg.getMapElements(value);
+            return { t: 'map', name, items: els.keys.map((k, i) => [typeof k === 'string' ? k : String(k), els.values[i]]) };
+          }
+          case 'set':
+            return { t: 'set', name, items: dbg.getSetElements(value).entries.map((v, i) => [String(i), v]) };
+          case 'record': {
+            const rec = dbg.getRecordFields(value);
+            const keys = Array.from({ length: rec.positionalCount }, (_, i) => '$' + (i + 1)).concat(rec.named);
+            return { t: 'object', name, items: keys.map((k, i) => [k, rec.values[i]]) };
+          }
+          case 'object': {
+            const rt = dartDevEmbedder.importLibrary('dart:_runtime');
+            return {
+              t: 'object',
+              name,
+              items: dbg.getObjectFieldNames(value).map((f) => {
+                try { return [f, rt.dloadRepl(value, f)]; } catch (e) { return [f, e]; }
+              })
+            };
+          }
+          default:
+            return null;
+        }
+      } catch (_) {
+        return null;
+      }
+    };
+    const send = (method, level, args) => parent.postMessage({
+      type: 'console', method, level, ts: Date.now(),
+      args: Array.from(args, a => serialize(a, 0, []))
+    }, '*');
+
+    const orig = {};
+    const wrap = (name, fn) => {
+      orig[name] = console[name] ? console[name].bind(console) : () => {};
+      console[name] = function () {
+        try { fn.apply(null, arguments); } catch (_) { /* never break user logging */ }
+        orig[name].apply(console, arguments);
+      };
+    };
+    ['log', 'info', 'warn', 'error', 'debug'].forEach((k) => {
+      wrap(k, function () { send(k, k, arguments); });
+    });
+    wrap('dir', (v) => send('dir', 'log', [v]));
+    wrap('trace', function () {
+      send('trace', 'log', [...arguments, Object.assign(new Error(''), { name: 'console.trace' })]);
+    });
+    wrap('assert', function (cond, ...rest) {
+      if (!cond) send('assert', 'error', ['Assertion failed:', ...rest]);
+    });
+    wrap('table', (data) => send('table', 'log', [data]));
+    wrap('group', function () { send('group', 'log', arguments); });
+    wrap('groupCollapsed', function () { send('groupCollapsed', 'log', arguments); });
+    wrap('groupEnd', () => send('groupEnd', 'log', []));
+    wrap('clear', () => send('clear', 'log', []));
+    const timers = {};
+    const counts = {};
+    wrap('time', (label = 'default') => { timers[label] = performance.now(); });
+    const elapsed = (method, label, extra) => {
+      if (!(label in timers)) { send(method, 'warn', [`Timer '${label}' does not exist`]); return; }
+      send(method, 'log', [`${label}: ${(performance.now() - timers[label]).toFixed(3)} ms`, ...extra]);
+    };
+    wrap('timeLog', (label = 'default', ...extra) => elapsed('timeLog', label, extra));
+    wrap('timeEnd', (label = 'default') => { elapsed('timeEnd', label, []); delete timers[label]; });
+    wrap('count', (label = 'default') => {
+      counts[label] = (counts[label] || 0) + 1;
+      send('count', 'log', [`${label}: ${counts[label]}`]);
+    });
+    wrap('countReset', (label = 'default') => { counts[label] = 0; });
+
+    window.onerror = function (msg, src, line, col, err) {
+      send('error', 'error', [err || `${msg} @${line}:${col}`]);
+    };
+    window.addEventListener('unhandledrejection', (e) => {
+      send('error', 'error', ['Uncaught (in promise)', e.reason]);
+    });
+
+    const fail = (type, err) => parent.postMessage({ type, message: String(err && err.message || err) }, '*');
+    // Hot restart hook used by DartDevEmbedder.hotRestart() and the legacy
+    // dart_library.reload(): load the recompiled bundles, reset the DOM,
+    // then let the loader rerun main.
+    let restartFiles = [];
+    self.$dartReloadModifiedModules = function (_, rerunMain) {
+      const files = restartFiles;
+      restartFiles = [];
+      return Promise.all(files.map(f => new Promise(r => self.$dartLoader.forceLoadScript(f, r)))).then(() => {
+        if (self.$dartOriginalBody) document.body.replaceWith(self.$dartOriginalBody.cloneNode(true));
+        return rerunMain();
+      });
+    };
+    // Mirrors the loader's hotRestart: give the entry library's
+    // onReloadStart() a chance to clean up, waiting for it if it returns a
+    // Future (anything else goes ahead at once). Unlike the loader, the
+    // restart also goes ahead when that Future completes with an error.
+    const onReloadStart = function (entry) {
+      const lib = dartDevEmbedder.importLibrary(entry);
+      const result = lib.onReloadStart ? lib.onReloadStart() : null;
+      if (!result || typeof result.then !== 'function') return Promise.resolve();
+      const dart = dartDevEmbedder.importLibrary('dart:_runtime');
+      return new Promise((r) => {
+        result.then(dart.dynamic, function () { r(); }, { onError: function () { r(); } });
+      });
+    };
+    // REPL: load the compiled evaluation library and call its entry point.
+    const evaluate = (d) => new Promise(r => self.$dartLoader.forceLoadScript(d.file, r)).then(() => {
+      return dartDevEmbedder.debugger.callLibraryMethod(d.library, d.method, []);
+    });
+    window.addEventListener('message', (e) => {
+      const d = e.data || {};
+      if (e.source !== parent || !self.dartDevEmbedder) return;
+      if (d.type === 'repl-eval') {
+        evaluate(d).then((value) => {
+          parent.postMessage({ type: 'repl-result', id: d.id, value: serialize(value, 0, []) }, '*');
+        }, (err) => {
+          parent.postMessage({ type: 'repl-result', id: d.id, error: serialize(err, 0, []) }, '*');
+        });
+      }
+      if (d.type === 'hot-reload') {
+        dartDevEmbedder.hotReload(d.files, d.libraries).then(() => {
+          parent.postMessage({ type: 'hot-reload-done', generation: dartDevEmbedder.hotReloadGeneration }, '*');
+        }, err => fail('hot-reload-failed', err));
+      }
+      if (d.type === 'hot-restart') {
+        restartFiles = d.files;
+        onReloadStart(d.entry).then(() => dartDevEmbedder.hotRestart()).then(() => {
+          parent.postMessage({ type: 'hot-restart-done', generation: dartDevEmbedder.hotRestartGeneration }, '*');
+        }, err => fail('hot-restart-failed', err));
+      }
+    });
+  }
+
+  /*** ---------- Hot reload / restart via DartDevEmbedder (DDC) ---------- ***/
+  // Hot swaps need DDC output, not dart2js: the preview loads
+  // ddc_module_loader.js and the DDC-compiled SDK (dart_sdk.js, served next
+  // to index.html), then one library bundle per project file. Only files whose
+  // text changed since the last push are recompiled. A reload hands the new
+  // bundles to DartDevEmbedder.hotReload so Dart state survives; a restart
+  // goes through DartDevEmbedder.hotRestart and the iframe's
+  // $dartReloadModifiedModules hook, resetting statics but keeping the iframe
+  // and the console history.
+  //
+  // dart.ddc(uri, sources, options) is the DDC entry of dart_sdk_new.js
+  // (called in compile_worker.js):
+  // `sources` maps every app URI to its bytes so imports resolve, and the
+  // result is a bundle that registers `uri` via dartDevEmbedder.defineLibrary.
+  // Neither it nor dart_sdk.js comes with every SDK build, so hot reload,
+  // restart and the REPL stay disabled until the compile worker reports both
+  // (ddcAvailable).
+  const APP_URI = 'org-dartlang-app:///';
+  // A preview that never answers (hung main, navigated away) fails the swap
+  // after this long so the buttons work again.
+  const HOT_SWAP_TIMEOUT_MS = 30000;
+  let ddcSession = null;
+  let hotReloading = false;
+  let hotSwapTimer = null;
+
+  function libraryUri(file) {
+    return APP_URI + file;
+  }
+
+  // Part files are compiled with their owning library, so changes to a part
+  // are attributed to the owner.
+  function libraryOwners(graph) {
+    const owners = {};
+    graph.forEach(({ name, parts }) => {
+      owners[name] = owners[name] || name;
+      parts.forEach(({ target }) => { owners[target] = name; });
+    });
+    return owners;
+  }
+
+  // `fileMap` defaults to the editor contents; the REPL compiles against the
+  // sources the running session was built from instead.
+  async function compileLibraries(files, fileMap = state.files, owner = 'ddc') {
+    const encoder = new TextEncoder();
+    const sources = {};
+    Object.keys(fileMap).forEach((f) => {
+      sources[libraryUri(f)] = encoder.encode(fileMap[f]);
+    });
+    const options = { ...currentRunConfig().flags };
+    const urls = [];
+    for (const file of files) {
+      let js;
+      try {
+        ({ js } = await cachedCompile({ compiler: 'ddc', uri: libraryUri(file), sources, options }, owner));
+      } catch (e) {
+        throw e.cancelled ? e : new Error(`${file}: ${e.message}`);
+      }
+      urls.push(URL.createObjectURL(new Blob([js], { type: 'text/javascript' })));
+    }
+    return urls;
+  }
+
+  function snapshotSources(graph) {
+    const snapshot = {};
+    graph.forEach(({ name }) => { snapshot[name] = state.files[name]; });
+    return snapshot;
+  }
+
+  function disposeDdcSession() {
+    if (!ddcSession) return;
+    ddcSession.urls.forEach(url => URL.revokeObjectURL(url));
+    ddcSession = null;
+    hotReloading = false;
+    clearTimeout(hotSwapTimer);
+    renderHotGeneration();
+    renderDdcAvailability();
+  }
+
+  async function startDdcSession() {
+    const config = currentRunConfig();
+    const problem = entryProblem(config);
+    if (problem) throw new Error(problem);
+    const graph = walkProject(config.entry);
+    const owners = libraryOwners(graph);
+    const libraries = graph.map(g => g.name).filter(name => owners[name] === name);
+    const urls = await compileLibraries(libraries);
+    disposeDdcSession();
+    ddcSession = {
+      entry: config.entry,
+      sources: snapshotSources(graph),
+      pending: null,
+      urls,
+      generation: 0,
+      restartGeneration: 0
+    };
+    const base = new URL('.', location.href).href;
+    const flagsJSON = JSON.stringify(config.flags || {});
+    const entryJSON = JSON.stringify(libraryUri(config.entry)).replace(/</g, '\\u003c');
+    dart2jsRunning = false;
+    loadPreview(`
+    <script src="${base}ddc_module_loader.js"><\/script>
+    <script src="${base}dart_sdk.js"><\/script>
+    ${urls.map(url => `<script src="${url}"><\/script>`).join('\n    ')}
+    <script>
+      self.$dartOriginalBody = document.body.cloneNode(true);
+      dartDevEmbedder.runMain(${entryJSON}, ${flagsJSON});
+    <\/script>`);
+    // The loader's runMain always calls main with no arguments.
+    if (config.args && config.args.length) {
+      appendConsole('warn', `DDC (ホットリロード / REPL) では実行引数 (${config.args.join(' ')}) は main に渡されません`);
+    }
+    renderHotGeneration();
+  }
+
+  // Recompiles the libraries whose files changed since the last push.
+  // Returns { graph, reload, urls } where `reload` lists the already-running
+  // libraries (new libraries register themselves when their bundle loads).
+  async function compileChanges() {
+    const graph = walkProject(ddcSession.entry);
+    const owners = libraryOwners(graph);
+    const reload = new Set();
+    const added = new Set();
+    graph.forEach(({ name }) => {
+      if (ddcSession.sources[name] === state.files[name]) return;
+      const owner = owners[name];
+      (owner in ddcSession.sources ? reload : added).add(owner);
+    });
+    const urls = await compileLibraries([...reload, ...added]);
+    ddcSession.urls.push(...urls);
+    return { graph, reload: [...reload], urls };
+  }
+
+  // Shared driver for hot reload and hot restart. Starts a DDC session first
+  // when none is running for the current entry point.
+  async function hotSwap(kind) {
+    if (hotReloading) return;
+    if (!ddcAvailable) {
+      setStatus(DDC_UNAVAILABLE, true);
+      return;
+    }
+    const label = kind === 'reload' ? 'ホットリロード' : 'ホットリスタート';
+    UI.hotReloadBtn.disabled = UI.hotRestartBtn.disabled = true;
+    setStatus(`${label}中…`);
+    try {
+      if (!ddcSession || ddcSession.entry !== currentRunConfig().entry) {
+        await startDdcSession();
+        setStatus(`DDC で起動しました (以降は${label})`);
+        return;
+      }
+      const { graph, reload, urls } = await compileChanges();
+      if (kind === 'reload' && urls.length === 0) {
+        setStatus('変更はありません');
+        return;
+      }
+      ddcSession.pending = snapshotSources(graph);
+      hotReloading = true;
+      hotSwapTimer = setTimeout(() => {
+        finishHotSwap({ type: `hot-${kind}-failed`, message: 'プレビューから応答がありません' });
+      }, HOT_SWAP_TIMEOUT_MS);
+      UI.preview.contentWindow.postMessage(kind === 'reload'
+        ? { type: 'hot-reload', files: urls, libraries: reload.map(libraryUri) }
+        : { type: 'hot-restart', files: urls, entry: libraryUri(ddcSession.entry) }, '*');
+    } catch (e) {
+      if (e.cancelled) {
+        setStatus(e.message);
+        return;
+      }
+      setStatus(`${label}失敗: ` + e.message, true);
+      appendConsole('error', e.stack || String(e));
+    } finally {
+      renderDdcAvailability();
+    }
+  }
+
+  // Replies after a timeout are ignored; the sources they would record are
+  // simply recompiled next time.
+  function finishHotSwap(data) {
+    if (!ddcSession || !hotReloading) return;
+    hotReloading = false;
+    clearTimeout(hotSwapTimer);
+    const label = data.type.startsWith('hot-reload') ? 'ホットリロード' : 'ホットリスタート';
+    if (data.type.endsWith('-done')) {
+      Object.assign(ddcSession.sources, ddcSession.pending);
+      if (data.type === 'hot-reload-done') ddcSession.generation = data.generation;
+      else ddcSession.restartGeneration = data.generation;
+      setStatus(`${label}完了`);
+    } else {
+      setStatus(`${label}失敗: ` + data.message, true);
+    }
+    ddcSession.pending = null;
+    renderHotGeneration();
+    renderDdcAvailability();
+  }
+
+  const DDC_UNAVAILABLE = 'DDC を使えません (dart_sdk_new.js の dart.ddc と dart_sdk.js が必要です)';
+  // The swap buttons also stay off until the preview answers a swap.
+  function renderDdcAvailability() {
+    UI.hotReloadBtn.disabled = UI.hotRestartBtn.disabled = !ddcAvailable || hotReloading;
+    UI.replInput.disabled = !ddcAvailable;
+    UI.replInput.title = ddcAvailable ? '' : DDC_UNAVAILABLE;
+  }
+
+  function renderHotGeneration() {
+    UI.hotGen.hidden = !ddcSession;
+    if (ddcSession) {
+      UI.hotGen.textContent = `reload #${ddcSession.generation} · restart #${ddcSession.restartGeneration}`;
+    }
+  }
+
+  /*** ---------- Analysis ---------- ***/
+  // Diagnostics are { file, line, column, severity, message } with 1-based
+  // line/column. The default backend compiles with dart2js and parses its
+  // error output; setting data-analysis-worker="<url>" on <body> switches to
+  // a worker that answers {type:'analyze', id, entry, files} with
+  // {type:'diagnostics', id, diagnostics}. A worker that fails to load,
+  // throws or doesn't answer within ANALYSIS_TIMEOUT_MS is dropped and the
+  // next analysis starts a new one.
+  const ANALYSIS_TIMEOUT_MS = 60000;
+  let diagnostics = [];
+  let analysisWorker = null;
+  let analysisSeq = 0;
+
+  // Matches `uri:line:col:` headers as printed by the CFE, e.g.
+  // "org-dartlang-app:///main.dart:5:3: Error: Expected ';' after this."
+  const DIAG_HEAD_RE = /^(.*?):(\d+):(\d+):\s*(.*)$/;
+  const DIAG_SEVERITY_RE = /^(error|warning|info|hint|context)\s*:\s*/i;
+
+  function mapLinkedLine(segments, line) {
+    const seg = segments.find(s => line >= s.start && line < s.start + s.lines);
+    return seg ? { file: seg.file, line: seg.from + line - seg.start } : null;
+  }
+
+  function parseDiagnostics(text, segments) {
+    const lines = String(text).split('\n');
+    const out = [];
+    lines.forEach((raw, i) => {
+      const m = DIAG_HEAD_RE.exec(raw.trim());
+      if (!m) return;
+      let rest = m[4] || (lines[i + 1] || '').trim();
+      const sev = DIAG_SEVERITY_RE.exec(rest);
+      const severity = sev ? sev[1].toLowerCase() : 'error';
+      if (severity === 'context') return;
+      if (sev) rest = rest.slice(sev[0].length);
+      let file = m[1].replace(APP_URI, '').replace(/^file:\/\/\/?/, '');
+      let line = Number(m[2]);
+      if (segments) {
+        const mapped = mapLinkedLine(segments, line);
+        if (!mapped) return;
+        ({ file, line } = mapped);
+      }
+      out.push({
+        file,
+        line,
+        column: Number(m[3]),
+        severity: severity === 'hint' ? 'info' : severity,
+        message: rest
+      });
+    });
+    return out;
+  }
+
+  function offsetToPosition(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  function diagnosticsFromError(e) {
+    if (e && e.file) {
+      const pos = offsetToPosition(state.files[e.file] || '', e.offset || 0);
+      return [{ file: e.file, ...pos, severity: 'error', message: e.detail }];
+    }
+    const parsed = parseDiagnostics((e && e.message) || e, e && e.segments);
+    return parsed.length ? parsed
+      : [{ file: currentRunConfig().entry, line: 1, column: 1, severity: 'error', message: String((e && e.message) || e) }];
+  }
+
+  const dart2jsAnalysisBackend = {
+    async analyze(config) {
+      try {
+        return (await compileProject(config, 'analysis')).diagnostics;
+      } catch (e) {
+        if (e.cancelled) throw e;
+        return diagnosticsFromError(e);
+      }
+    }
+  };
+
+  function workerAnalysisBackend(url) {
+    return {
+      analyze(config) {
+        if (!analysisWorker) analysisWorker = new Worker(url);
+        const worker = analysisWorker;
+        const id = ++analysisSeq;
+        return new Promise((resolve, reject) => {
+          const done = () => {
+            clearTimeout(timer);
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+          };
+          const fail = (message) => {
+            done();
+            worker.terminate();
+            if (analysisWorker === worker) analysisWorker = null;
+            reject(new Error(message));
+          };
+          const onMessage = (e) => {
+            if (!e.data || e.data.id !== id) return;
+            done();
+            if (e.data.type === 'diagnostics') resolve(e.data.diagnostics || []);
+            else reject(new Error(e.data.message || '解析ワーカーのエラー'));
+          };
+          const onError = e => fail(e.message || '解析ワーカーを読み込めません');
+          const timer = setTimeout(() => fail('解析ワーカーから応答がありません'), ANALYSIS_TIMEOUT_MS);
+          worker.addEventListener('message', onMessage);
+          worker.addEventListener('error', onError);
+          worker.postMessage({ type: 'analyze', id, entry: config.entry, files: state.files });
+        });
+      }
+    };
+  }
+
+  function analysisBackend() {
+    const url = document.body.dataset.analysisWorker;
+    return url ? workerAnalysisBackend(url) : dart2jsAnalysisBackend;
+  }
+
+  async function analyzeProject() {
+    setStatus('解析中…');
+    UI.analyzeBtn.disabled = true;
+    try {
+      showDiagnostics(await analysisBackend().analyze(currentRunConfig()));
+      setStatus(diagnostics.length ? `問題 ${diagnostics.length} 件` : '問題はありません');
+    } catch (e) {
+      if (e.cancelled) setStatus(e.message);
+      else setStatus('解析失敗: ' + e.message, true);
+    } finally {
+      UI.analyzeBtn.disabled = false;
+    }
+  }
+
+  function showDiagnostics(list) {
+    diagnostics = list;
+    UI.problems.hidden = list.length === 0;
+    UI.problemsCount.textContent = String(list.length);
+    UI.problemsList.innerHTML = '';
+    list.forEach((d) => {
+      const item = document.createElement('button');
+      item.className = `problem ${d.severity}`;
+      item.textContent = `${d.file}:${d.line}:${d.column}  ${d.message}`;
+      item.addEventListener('click', () => revealLocation(d.file, d.line, d.column));
+      UI.problemsList.appendChild(item);
+    });
+    refreshLineNumbers();
+  }
+
+  // Switches to `file` and puts the caret at line/column (1-based), selecting
+  // `length` characters from there.
+  function revealLocation(file, line, column = 1, length = 0) {
+    if (!state.files[file]) return;
+    if (state.active !== file) setActive(file);
+    const text = state.files[file];
+    const lines = text.split('\n');
+    const row = Math.min(Math.max(line, 1), lines.length);
+    let offset = 0;
+    for (let i = 0; i < row - 1; i++) offset += lines[i].length + 1;
+    offset += Math.min(Math.max(column - 1, 0), lines[row - 1].length);
+    const end = Math.min(offset + length, text.length);
+    unfoldRange(offset, end);
+    UI.editor.focus();
+    UI.editor.setSelectionRange(fullToView(offset), fullToView(end));
+    const viewRow = rowOf(viewRows(), fullToView(offset));
+    UI.editor.scrollTop = Math.max(0, viewRow * lineMetrics().lineHeight - UI.editor.clientHeight / 2);
+  }
+
+  /*** ---------- Find & replace ---------- ***/
+  // Searches every file in state.files. Hits are { file, start, end, line,
+  // column, text }; replace-all goes through recordEdit() and persist(), so
+  // each touched file can be undone with Ctrl+Z in that file.
+  const FIND_MAX_HITS = 1000;
+  const findOptions = { regex: false, caseSensitive: false, wholeWord: false };
+  let findTimer;
+
+  function findRegExp(query) {
+    if (!query) return null;
+    let source = findOptions.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (findOptions.wholeWord) source = `\\b(?:${source})\\b`;
+    return new RegExp(source, findOptions.caseSensitive ? 'gm' : 'gim');
+  }
+
+  function findInProject(re) {
+    const hits = [];
+    for (const file of Object.keys(state.files)) {
+      const text = state.files[file];
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text))) {
+        if (m[0] === '') { re.lastIndex++; continue; }
+        const pos = offsetToPosition(text, m.index);
+        const lineStart = m.index - (pos.column - 1);
+        const lineEnd = text.indexOf('\n', m.index);
+        hits.push({
+          file, start: m.index, end: m.index + m[0].length, ...pos,
+          text: text.slice(lineStart, lineEnd < 0 ? text.length : lineEnd)
+        });
+        if (hits.length >= FIND_MAX_HITS) return hits;
+      }
+    }
+    return hits;
+  }
+
+  function runFind() {
+    clearTimeout(findTimer);
+    UI.findResults.innerHTML = '';
+    let re;
+    try {
+      re = findRegExp(UI.findQuery.value);
+    } catch (e) {
+      UI.findSummary.textContent = `正規表現エラー: ${e.message}`;
+      UI.findSummary.dataset.kind = 'error';
+      return [];
+    }
+    delete UI.findSummary.dataset.kind;
+    if (!re) { UI.findSummary.textContent = ''; return []; }
+    const hits = findInProject(re);
+    const files = new Set(hits.map(h => h.file));
+    UI.findSummary.textContent = hits.length
+      ? `${files.size} ファイル / ${hits.length}${hits.length >= FIND_MAX_HITS ? '+' : ''} 件`
+      : '見つかりません';
+
+    files.forEach((file) => {
+      const group = document.createElement('details');
+      group.className = 'find-group';
+      group.open = true;
+      const fileHits = hits.filter(h => h.file === file);
+      const summary = document.createElement('summary');
+      summary.innerHTML = `${escapeHTML(file)} <span class="count">${fileHits.length}</span>`;
+      group.appendChild(summary);
+      fileHits.forEach((h) => {
+        const item = document.createElement('button');
+        item.className = 'find-hit';
+        const col = h.column - 1;
+        const len = Math.min(h.end - h.start, h.text.length - col);
+        item.innerHTML = `<span class="find-line">${h.line}</span>` +
+          escapeHTML(h.text.slice(0, col).trimStart()) +
+          `<mark>${escapeHTML(h.text.slice(col, col + len))}</mark>` +
+          escapeHTML(h.text.slice(col + len));
+        item.addEventListener('click', () => revealLocation(h.file, h.line, h.column, h.end - h.start));
+        group.appendChild(item);
+      });
+      UI.findResults.appendChild(group);
+    });
+    return hits;
+  }
+
+  function scheduleFind() {
+    if (UI.find.hidden) return;
+    clearTimeout(findTimer);
+    findTimer = setTimeout(runFind, 150);
+  }
+
+  // String.replace's `$` patterns ($&, $1, $<name>, …) for a replacer
+  // callback's arguments; literal searches insert the replacement as-is.
+  function expandReplacement(template, args) {
+    const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+    const [match, ...groups] = args;
+    const string = groups.pop();
+    const offset = groups.pop();
+    return template.replace(/\$(\$|&|`|'|\d\d?|<([^>]*)>)/g, (token, what, name) => {
+      if (what === '$') return '$';
+      if (what === '&') return match;
+      if (what === '`') return string.slice(0, offset);
+      if (what === "'") return string.slice(offset + match.length);
+      if (name !== undefined) return named ? named[name] ?? '' : token;
+      const n = Number(what);
+      return n >= 1 && n <= groups.length ? groups[n - 1] ?? '' : token;
+    });
+  }
+
+  function replaceAllInProject() {
+    let re;
+    try {
+      re = findRegExp(UI.findQuery.value);
+    } catch (e) {
+      setStatus(`正規表現エラー: ${e.message}`, true);
+      return;
+    }
+    if (!re) return;
+    const replacement = UI.findReplace.value;
+    let count = 0;
+    const changed = [];
+    Object.keys(state.files).forEach((file) => {
+      const before = state.files[file];
+      const after = before.replace(re, (...args) => {
+        if (args[0] === '') return '';  // the search skips empty matches too
+        count++;
+        return findOptions.regex ? expandReplacement(replacement, args) : replacement;
+      });
+      if (after === before) return;
+      recordEdit(file, before, after);
+      state.files[file] = after;
+      changed.push(file);
+    });
+    if (!count) { setStatus('置換対象が見つかりません'); return; }
+    if (changed.includes(state.active)) {
+      const caret = Math.min(viewToFull(UI.editor.selectionStart), state.files[state.active].length);
+      renderEditorText();
+      UI.editor.setSelectionRange(fullToView(caret), fullToView(caret));
+      refreshEditor();
+    }
+    persist();
+    runFind();
+    setStatus(`${changed.length} ファイルで ${count} 件置換しました (各ファイルで Ctrl+Z で元に戻せます)`);
+  }
+
+  function openFind() {
+    UI.find.hidden = false;
+    const selected = UI.editor.value.slice(UI.editor.selectionStart, UI.editor.selectionEnd);
+    if (selected && !selected.includes('\n')) UI.findQuery.value = selected;
+    UI.findQuery.focus();
+    UI.findQuery.select();
+    runFind();
+  }
+
+  function closeFind() {
+    UI.find.hidden = true;
+    UI.editor.focus();
+  }
+
+  function renderFindToggles() {
+    [[UI.findRegexBtn, 'regex'], [UI.findCaseBtn, 'caseSensitive'], [UI.findWordBtn, 'wholeWord']]
+      .forEach(([btn, key]) => btn.setAttribute('aria-pressed', String(findOptions[key])));
+  }
+
+  /*** ---------- Formatting ---------- ***/
+  // Backends expose format(source, file) → Promise<string>. A compiled
+  // dart_style worker is used when <body data-format-worker="<url>"> is set
+  // (protocol: {type:'format', id, source} → {type:'formatted', id, source}
+  // or {type:'error', id, message}); otherwise the local stand-in below only
+  // re-indents and normalises whitespace. A worker that fails to load, throws
+  // or doesn't answer within FORMAT_TIMEOUT_MS is dropped and that request
+  // falls back to the stand-in.
+  const FORMAT_TIMEOUT_MS = 30000;
+  let formatWorker = null;
+  let formatSeq = 0;
+
+  // Scans Dart source line by line, tracking brackets, strings (raw, triple,
+  // interpolated) and block comments so indentation only follows real code.
+  function formatDartLocal(source) {
+    const out = [];
+    const stack = [];        // { ch, line, caseBody } for ( [ { and ${
+    let mode = null;         // null | { block: depth } | { quote, triple, raw }
+    const levelOf = () => new Set(stack.filter(e => e.ch !== '${').map(e => e.line)).size;
+
+    source.replace(/\r\n?/g, '\n').split('\n').forEach((line, lineNo) => {
+      const startsInside = mode !== null;
+      let i = 0;
+      let text = line;
+      if (!startsInside) {
+        text = line.trim();
+        // Leading closers dedent the line they are on.
+        while (i < text.length && ')]}'.includes(text[i])) {
+          // A `}` closing an interpolation is left to the scanner below,
+          // which switches back into string mode.
+          if (stack.length && stack[stack.length - 1].ch === '${') break;
+          stack.pop();
+          i++;
+          while (text[i] === ' ' || text[i] === '\t') i++;
+        }
+      }
+
+      for (; i < text.length; i++) {
+        const ch = text[i];
+        if (mode && mode.block) {
+          if (text.startsWith('*/', i)) { mode.block--; i++; if (!mode.block) mode = null; }
+          else if (text.startsWith('/*', i)) { mode.block++; i++; }
+          continue;
+        }
+        if (mode) {
+          if (!mode.raw && ch === '\\') { i++; continue; }
+          if (!mode.raw && text.startsWith('${', i)) {
+            stack.push({ ch: '${', line: lineNo, string: mode });
+            mode = null;
+            i++;
+            continue;
+          }
+          if (mode.triple ? text.startsWith(mode.quote.repeat(3), i) : ch === mode.quote) {
+            if (mode.triple) i += 2;
+            mode = null;
+          }
+          continue;
+        }
+        if (text.startsWith('//', i)) break;
+        if (text.startsWith('/*', i)) { mode = { block: 1 }; i++; continue; }
+        if (ch === '"' || ch === "'") {
+          const triple = text.startsWith(ch.repeat(3), i);
+          const raw = text[i - 1] === 'r' && !/[\w$]/.test(text[i - 2] || '');
+          mode = { quote: ch, triple, raw };
+          if (triple) i += 2;
+          continue;
+        }
+        if ('([{'.includes(ch)) stack.push({ ch, line: lineNo, caseBody: false });
+        else if (')]}'.includes(ch) && stack.length) {
+          const top = stack.pop();
+          if (top.ch === '${') mode = top.string;
+        }
+      }
+      // Single-line strings cannot continue onto the next line.
+      if (mode && mode.quote && !mode.triple) mode = null;
+
+      if (startsInside) { out.push(line); return; }
+      const trimmed = text.trim();
+      if (!trimmed) { out.push(''); return; }
+
+      // Brackets opened on this line only indent the lines after it.
+      const outer = stack.filter(e => e.line !== lineNo);
+      let level = new Set(outer.filter(e => e.ch !== '${').map(e => e.line)).size;
+      // Statements under `case x:` / `default:` sit one level deeper.
+      const blocks = outer.filter(e => e.ch === '{');
+      const block = blocks[blocks.length - 1];
+      const isLabel = /^(case\b|default\s*:)/.test(trimmed);
+      if (block && isLabel) block.caseBody = true;
+      level += blocks.filter(b => b.caseBody && !(b === block && isLabel)).length;
+      // Method chains and cascades continue the previous statement.
+      if (/^\.\.?[\w?]/.test(trimmed)) level++;
+      out.push('  '.repeat(level) + trimmed);
+    });
+
+    // At most one blank line in a row, none at the top, one newline at EOF.
+    const collapsed = out.filter((l, i) => l !== '' || (i > 0 && out[i - 1] !== ''));
+    while (collapsed.length && collapsed[0] === '') collapsed.shift();
+    while (collapsed.length && collapsed[collapsed.length - 1] === '') collapsed.pop();
+    return collapsed.join('\n') + '\n';
+  }
+
+  const localFormatter = {
+    async format(source) {
+      return formatDartLocal(source);
+    }
+  };
+
+  function workerFormatter(url) {
+    return {
+      format(source) {
+        if (!formatWorker) formatWorker = new Worker(url);
+        const worker = formatWorker;
+        const id = ++formatSeq;
+        return new Promise((resolve, reject) => {
+          const done = () => {
+            clearTimeout(timer);
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+          };
+          const fail = (message) => {
+            done();
+            worker.terminate();
+            if (formatWorker === worker) formatWorker = null;
+            appendConsole('warn', `整形ワーカーを使えないため簡易整形を使います: ${message}`);
+            resolve(localFormatter.format(source));
+          };
+          const onMessage = (e) => {
+            if (!e.data || e.data.id !== id) return;
+            done();
+            if (e.data.type === 'formatted') resolve(e.data.source);
+            else reject(new Error(e.data.message || '整形ワーカーのエラー'));
+          };
+          const onError = e => fail(e.message || '整形ワーカーを読み込めません');
+          const timer = setTimeout(() => fail('整形ワーカーから応答がありません'), FORMAT_TIMEOUT_MS);
+          worker.addEventListener('message', onMessage);
+          worker.addEventListener('error', onError);
+          worker.postMessage({ type: 'format', id, source });
+        });
+      }
+    };
+  }
+
+  function formatter() {
+    const url = document.body.dataset.formatWorker;
+    return url ? workerFormatter(url) : localFormatter;
+  }
+
+  // The caret is tracked as "non-whitespace characters before it", which
+  // survives any whitespace-only rewrite of the text around it.
+  function nonWhitespaceBefore(text, offset) {
+    return text.slice(0, offset).replace(/\s+/g, '').length;
+  }
+  function offsetAfterNonWhitespace(text, count) {
+    let seen = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (seen === count) return i;
+      if (!/\s/.test(text[i])) seen++;
+    }
+    return text.length;
+  }
+
+  // Formats `files`; with preview, shows a diff dialog first. Returns true if
+  // anything was written.
+  async function formatFiles(files, { preview = true } = {}) {
+    const fmt = formatter();
+    const changes = [];
+    for (const file of files) {
+      let formatted;
+      try {
+        formatted = await fmt.format(state.files[file], file);
+      } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+      }
+      if (formatted !== state.files[file]) changes.push({ file, formatted });
+    }
+    if (changes.length === 0) return false;
+
+    if (preview) {
+      const body = document.createElement('div');
+      changes.forEach(({ file, formatted }) => {
+        body.appendChild(Object.assign(document.createElement('div'), { className: 'diff-file', textContent: file }));
+        body.appendChild(renderDiff(state.files[file], formatted));
+      });
+      const formatOnRun = Object.assign(document.createElement('label'), { className: 'check' });
+      const box = Object.assign(document.createElement('input'), { type: 'checkbox', checked: state.settings.formatOnRun });
+      formatOnRun.append(box, ' 実行時に自動整形');
+      body.appendChild(formatOnRun);
+      const actions = [{ label: 'キャンセル', value: 'cancel' }];
+      if (files.length === 1 && Object.keys(state.files).length > 1) {
+        actions.push({ label: '全ファイルを整形…', value: 'all' });
+      }
+      actions.push({ label: '適用', value: 'apply', kind: 'primary' });
+      const choice = await showDialog(`整形プレビュー (${changes.length} ファイル)`, body, actions);
+      if (choice && state.settings.formatOnRun !== box.checked) {
+        state.settings.formatOnRun = box.checked;
+        persist();
+      }
+      if (choice === 'all') return formatFiles(Object.keys(state.files));
+      if (choice !== 'apply') return false;
+    }
+
+    const caret = nonWhitespaceBefore(state.files[state.active], viewToFull(UI.editor.selectionStart));
+    changes.forEach(({ file, formatted }) => {
+      recordEdit(file, state.files[file], formatted);
+      state.files[file] = formatted;
+    });
+    if (changes.some(c => c.file === state.active)) {
+      renderEditorText();
+      const offset = fullToView(offsetAfterNonWhitespace(state.files[state.active], caret));
+      UI.editor.setSelectionRange(offset, offset);
+      refreshEditor();
+    }
+    persist();
+    return true;
+  }
+
+  async function formatActive() {
+    UI.formatBtn.disabled = true;
+    try {
+      const changed = await formatFiles([state.active]);
+      setStatus(changed ? '整形しました' : '変更はありません');
+    } catch (e) {
+      setStatus('整形失敗: ' + e.message, true);
+    } finally {
+      UI.formatBtn.disabled = false;
+    }
+  }
+
+  // Only the preview's own document may talk to the editor.
+  window.addEventListener('message', (e) => {
+    if (!e?.data || e.source !== UI.preview.contentWindow) return;
+    if (e.data.type === 'console') addConsoleEntry(e.data);
+    if (/^hot-(reload|restart)-(done|failed)$/.test(e.data.type)) finishHotSwap(e.data);
+    if (e.data.type === 'repl-result') finishRepl(e.data);
+  });
+
+  /*** ---------- Console ---------- ***/
+  // Entries are { method, level, ts, args } where args are the serialized
+  // trees produced by previewPrelude(). Groups nest <details> containers;
+  // identical consecutive entries collapse into a repeat counter.
+  const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+  let consoleGroups = [];
+  let lastConsoleEntry = null;
+
+  function appendConsole(level, text) {
+    addConsoleEntry({ method: level, level, ts: Date.now(), args: [{ t: 'string', v: String(text) }] });
+  }
+
+  function clearConsole() {
+    UI.console.innerHTML = '';
+    consoleGroups = [];
+    lastConsoleEntry = null;
+  }
+
+  function consoleContainer() {
+    return consoleGroups.length ? consoleGroups[consoleGroups.length - 1] : UI.console;
+  }
+
+  function addConsoleEntry(entry) {
+    const { method, level = 'log' } = entry;
+    if (method === 'clear') { clearConsole(); return; }
+    if (method === 'groupEnd') {
+      consoleGroups.pop();
+      lastConsoleEntry = null;
+      return;
+    }
+    const stick = UI.console.scrollTop + UI.console.clientHeight >= UI.console.scrollHeight - 4;
+    const args = entry.args || [];
+
+    if (method === 'group' || method === 'groupCollapsed') {
+      const group = document.createElement('details');
+      group.className = 'console-group';
+      group.open = method === 'group';
+      const summary = document.createElement('summary');
+      summary.className = `log ${level}`;
+      summary.dataset.level = level;
+      summary.append(timestampNode(entry.ts), ...(args.length ? args.map(a => renderValue(a, true)) : ['console.group']));
+      const body = document.createElement('div');
+      body.className = 'console-group-body';
+      group.append(summary, body);
+      consoleContainer().appendChild(group);
+      consoleGroups.push(body);
+      lastConsoleEntry = null;
+      if (stick) UI.console.scrollTop = UI.console.scrollHeight;
+      return;
+    }
+
+    const key = level + '\u0000' + JSON.stringify(args);
+    if (lastConsoleEntry && lastConsoleEntry.key === key && lastConsoleEntry.container === consoleContainer()) {
+      lastConsoleEntry.count++;
+      lastConsoleEntry.badge.textContent = String(lastConsoleEntry.count);
+      lastConsoleEntry.badge.hidden = false;
+      lastConsoleEntry.ts.replaceWith(lastConsoleEntry.ts = timestampNode(entry.ts));
+      return;
+    }
+
+    const line = document.createElement('div');
+    line.className = `log ${level}`;
+    line.dataset.level = level;
+    line.dataset.method = method || level;
+    const badge = Object.assign(document.createElement('span'), { className: 'repeat', hidden: true });
+    const ts = timestampNode(entry.ts);
+    line.append(badge, ts);
+    if (method === 'table' && args[0] && args[0].entries) {
+      line.appendChild(renderTable(args[0]));
+    } else {
+      args.forEach((a, i) => {
+        if (i) line.append(' ');
+        // REPL results show strings quoted, like any other value.
+        line.appendChild(renderValue(a, method !== 'repl-result' || i === 0));
+      });
+    }
+    consoleContainer().appendChild(line);
+    lastConsoleEntry = { key, count: 1, badge, ts, container: consoleContainer() };
+    applyConsoleSearch(line);
+    if (stick) UI.console.scrollTop = UI.console.scrollHeight;
+  }
+
+  function timestampNode(ts) {
+    const d = new Date(ts || Date.now());
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return Object.assign(document.createElement('span'), {
+      className: 'ts',
+      textContent: `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`
+    });
+  }
+
+  // One-line preview used for summaries and search.
+  function previewValue(v, nested = false) {
+    switch (v.t) {
+      case 'string': return nested ? JSON.stringify(v.v) : v.v;
+      case 'null': case 'undefined': return v.t;
+      case 'function': return `ƒ ${v.v}()`;
+      case 'circular': return '[Circular]';
+      case 'error': return `${v.name}: ${v.v}`;
+      case 'truncated': return v.kind === 'array' ? `Array(${v.size})` : `${v.name} {…}`;
+      case 'array': case 'set': case 'map': case 'object': {
+        if (nested) return v.t === 'object' ? `${v.name === 'Object' ? '' : v.name + ' '}{…}` : `${v.name}(${v.size})`;
+        const items = v.entries.slice(0, 5).map(([k, c]) =>
+          v.t === 'array' || v.t === 'set' ? previewValue(c, true) : `${k}: ${previewValue(c, true)}`);
+        const more = v.size > 5 ? ', …' : '';
+        if (v.t === 'object') return `${v.name === 'Object' ? '' : v.name + ' '}{${items.join(', ')}${more}}`;
+        return `${v.name}(${v.size}) ${v.t === 'array' ? '[' : '{'}${items.join(', ')}${more}${v.t === 'array' ? ']' : '}'}`;
+      }
+      default: return String(v.v);
+    }
+  }
+
+  function renderValue(v, top = false) {
+    if (v.t === 'error' || (v.entries && v.entries.length)) {
+      const tree = document.createElement('details');
+      tree.className = `v-tree v-${v.t}`;
+      const summary = document.createElement('summary');
+      summary.textContent = previewValue(v);
+      tree.appendChild(summary);
+      const body = document.createElement('div');
+      body.className = 'v-entries';
+      if (v.t === 'error') {
+        body.appendChild(Object.assign(document.createElement('pre'), { className: 'v-stack', textContent: v.stack }));
+      } else {
+        v.entries.forEach(([k, child]) => {
+          const row = document.createElement('div');
+          row.append(Object.assign(document.createElement('span'), { className: 'v-key', textContent: k + ': ' }),
+            renderValue(child));
+          body.appendChild(row);
+        });
+        if (v.more) body.appendChild(Object.assign(document.createElement('div'), { className: 'v-more', textContent: '…' }));
+      }
+      tree.appendChild(body);
+      return tree;
+    }
+    return Object.assign(document.createElement('span'), {
+      className: `v-${v.t}`,
+      textContent: previewValue(v, !top)
+    });
+  }
+
+  // console.table over arrays/objects: one row per entry, one column per key
+  // seen in any row (primitive rows go to a "Value" column).
+  function renderTable(data) {
+    const columns = [];
+    data.entries.forEach(([, row]) => {
+      (row.entries && row.t === 'object' ? row.entries : []).forEach(([k]) => {
+        if (!columns.includes(k)) columns.push(k);
+      });
+    });
+    const hasValue = data.entries.some(([, row]) => !(row.entries && row.t === 'object'));
+    const table = document.createElement('table');
+    table.className = 'v-table';
+    const head = table.insertRow();
+    ['(index)', ...columns, ...(hasValue ? ['Value'] : [])].forEach((c) => {
+      head.appendChild(Object.assign(document.createElement('th'), { textContent: c }));
+    });
+    data.entries.forEach(([k, row]) => {
+      const tr = table.insertRow();
+      tr.insertCell().textContent = k;
+      const cells = row.t === 'object' && row.entries ? Object.fromEntries(row.entries) : {};
+      columns.forEach((c) => { tr.insertCell().textContent = c in cells ? previewValue(cells[c], true) : ''; });
+      if (hasValue) tr.insertCell().textContent = row.t === 'object' && row.entries ? '' : previewValue(row, true);
+    });
+    return table;
+  }
+
+  function applyConsoleSearch(line) {
+    const q = UI.consoleSearch.value.trim().toLowerCase();
+    line.classList.toggle('search-miss', !!q && !line.textContent.toLowerCase().includes(q));
+  }
+
+  function renderConsoleFilters() {
+    UI.consoleFilters.innerHTML = '';
+    CONSOLE_LEVELS.forEach((level) => {
+      const btn = document.createElement('button');
+      btn.className = `chip ${level}`;
+      btn.textContent = level;
+      btn.setAttribute('aria-pressed', String(!UI.console.classList.contains(`hide-${level}`)));
+      btn.addEventListener('click', () => {
+        UI.console.classList.toggle(`hide-${level}`);
+        renderConsoleFilters();
+      });
+      UI.consoleFilters.appendChild(btn);
+    });
+  }
+
+  /*** ---------- REPL ---------- ***/
+  // Evaluates a Dart expression in the running DDC app. The expression is
+  // wrapped in a throwaway library that imports the entry library (plus its
+  // own dart:/package: imports), compiled against the sources the session is
+  // running, and invoked through Debugger.callLibraryMethod in the iframe.
+  // Only the entry library's public top-level scope is visible. Without a
+  // session one is started first, as hot reload does, after asking when that
+  // replaces a program started by Run. REPL_METHOD has no `$`, which DDC
+  // would rename in the generated JS. An evaluation the preview doesn't
+  // answer within REPL_TIMEOUT_MS is reported as failed.
+  const REPL_HISTORY_MAX = 50;
+  const REPL_TIMEOUT_MS = 30000;
+  const REPL_METHOD = 'replEval__';
+  let replSeq = 0;
+  let replHistoryIndex = -1;
+  const pendingRepl = new Map();
+
+  function replLibrarySource(expr) {
+    const entry = ddcSession.entry;
+    const imports = parseDirectives(ddcSession.sources[entry])
+      .filter(d => d.kind === 'import' && !isRelativeUri(d.uri))
+      .map(d => d.text);
+    return [`import '${libraryUri(entry)}';`, ...imports, '', `Object? ${REPL_METHOD}() => (${expr});`, ''].join('\n');
+  }
+
+  async function evaluateRepl(expr) {
+    if (!ddcAvailable) {
+      setStatus(DDC_UNAVAILABLE, true);
+      return;
+    }
+    if (!ddcSession && dart2jsRunning
+      && !confirm('式の評価には DDC セッションが必要です。実行中のプログラムを終了して起動しますか？（プログラムの状態は失われます）')) return;
+    addConsoleEntry({ method: 'repl-input', level: 'log', ts: Date.now(), args: [{ t: 'string', v: '› ' + expr }] });
+    if (!ddcSession) {
+      appendConsole('info', 'DDC セッションを起動しています…');
+      try {
+        await startDdcSession();
+        // The evaluation handler exists once the new preview has loaded.
+        await new Promise(r => UI.preview.addEventListener('load', r, { once: true }));
+      } catch (e) {
+        if (!e.cancelled) appendConsole('error', 'DDC セッションを起動できません: ' + e.message);
+        return;
+      }
+    }
+    const id = ++replSeq;
+    const file = `__repl_${id}.dart`;
+    const fileMap = { ...ddcSession.sources, [file]: replLibrarySource(expr) };
+    try {
+      const [url] = await compileLibraries([file], fileMap, 'repl');
+      ddcSession.urls.push(url);
+      pendingRepl.set(id, setTimeout(() => {
+        if (pendingRepl.delete(id)) appendConsole('error', `評価に失敗しました: プレビューから応答がありません (${expr})`);
+      }, REPL_TIMEOUT_MS));
+      UI.preview.contentWindow.postMessage({
+        type: 'repl-eval', id, file: url, library: libraryUri(file), method: REPL_METHOD
+      }, '*');
+    } catch (e) {
+      if (!e.cancelled) appendConsole('error', e.message.replace(`${file}: `, ''));
+    }
+  }
+
+  function finishRepl(data) {
+    if (!pendingRepl.has(data.id)) return;
+    clearTimeout(pendingRepl.get(data.id));
+    pendingRepl.delete(data.id);
+    if (data.error) {
+      addConsoleEntry({ method: 'repl-result', level: 'error', ts: Date.now(), args: [{ t: 'string', v: '‹' }, data.error] });
+    } else {
+      addConsoleEntry({ method: 'repl-result', level: 'log', ts: Date.now(), args: [{ t: 'string', v: '‹' }, data.value] });
+    }
+  }
+
+  function onReplKey(e) {
+    const history = state.replHistory;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const expr = UI.replInput.value.trim();
+      if (!expr) return;
+      if (history[history.length - 1] !== expr) history.push(expr);
+      if (history.length > REPL_HISTORY_MAX) history.splice(0, history.length - REPL_HISTORY_MAX);
+      persist();
+      replHistoryIndex = -1;
+      UI.replInput.value = '';
+      evaluateRepl(expr);
+    } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && history.length) {
+      e.preventDefault();
+      if (e.key === 'ArrowUp') {
+        replHistoryIndex = replHistoryIndex < 0 ? history.length - 1 : Math.max(0, replHistoryIndex - 1);
+      } else if (replHistoryIndex >= 0) {
+        replHistoryIndex = replHistoryIndex + 1 >= history.length ? -1 : replHistoryIndex + 1;
+      }
+      UI.replInput.value = replHistoryIndex < 0 ? '' : history[replHistoryIndex];
+    }
+  }
+
+  /*** ---------- Status ---------- ***/
+  let statusTimer;
+  function setStatus(msg, isError = false) {
+    UI.status.textContent = msg;
+    UI.status.dataset.kind = isError ? 'error' : 'ok';
+    clearTimeout(statusTimer);
+    if (!isError) statusTimer = setTimeout(() => (UI.status.textContent = ''), 3000);
+  }
+
+  /*** ---------- Dialog ---------- ***/
+  // Shows the shared <dialog>. `body` is a node, `actions` a list of
+  // { label, value, kind }. Resolves with the chosen value, or null when the
+  // dialog is dismissed.
+  function showDialog(title, body, actions) {
+    UI.dialogTitle.textContent = title;
+    UI.dialogBody.innerHTML = '';
+    UI.dialogBody.appendChild(body);
+    UI.dialogActions.innerHTML = '';
+    actions.forEach(({ label, value, kind }) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn small' + (kind ? ' ' + kind : '');
+      btn.value = value;
+      btn.textContent = label;
+      UI.dialogActions.appendChild(btn);
+    });
+    UI.dialog.returnValue = '';
+    UI.dialog.showModal();
+    return new Promise((resolve) => {
+      UI.dialog.addEventListener('close', () => resolve(UI.dialog.returnValue || null), { once: true });
+    });
+  }
+
+  /*** ---------- Line diff ---------- ***/
+  // LCS line diff. Returns [{ op: ' ' | '-' | '+', text }]. The common prefix
+  // and suffix are trimmed first; very large middles fall back to a
+  // delete-all/insert-all hunk to keep memory bounded.
+  function lineDiff(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const out = a.slice(0, start).map(text => ({ op: ' ', text }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+    if (n * m > 4e6) {
+      midA.forEach(text => out.push({ op: '-', text }));
+      midB.forEach(text => out.push({ op: '+', text }));
+    } else {
+      const lcs = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lcs[i * (m + 1) + j] = midA[i] === midB[j]
+            ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < n || j < m) {
+        if (i < n && j < m && midA[i] === midB[j]) {
+          out.push({ op: ' ', text: midA[i] }); i++; j++;
+        } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+          out.push({ op: '+', text: midB[j] }); j++;
+        } else {
+          out.push({ op: '-', text: midA[i] }); i++;
+        }
+      }
+    }
+    a.slice(endA).forEach(text => out.push({ op: ' ', text }));
+    return out;
+  }
+
+  // Renders a diff as a <pre>, folding unchanged runs down to a little context.
+  function renderDiff(oldText, newText, context = 3) {
+    const pre = document.createElement('pre');
+    pre.className = 'diff';
+    const rows = lineDiff(oldText, newText);
+    const near = rows.map(() => false);
+    rows.forEach((r, i) => {
+      if (r.op === ' ') return;
+      for (let k = Math.max(0, i - context); k <= Math.min(rows.length - 1, i + context); k++) near[k] = true;
+    });
+    let skipped = 0;
+    const flushSkipped = () => {
+      if (!skipped) return;
+      pre.appendChild(Object.assign(document.createElement('div'), {
+        className: 'diff-skip', textContent: `… ${skipped} 行 …`
+      }));
+      skipped = 0;
+    };
+    rows.forEach((r, i) => {
+      if (!near[i]) { skipped++; return; }
+      flushSkipped();
+      const cls = r.op === '+' ? 'add' : r.op === '-' ? 'del' : 'ctx';
+      pre.appendChild(Object.assign(document.createElement('div'), {
+        className: `diff-line ${cls}`, textContent: `${r.op} ${r.text}`
+      }));
+    });
+    flushSkipped();
+    return pre;
+  }
+
+  /*** ---------- Zip ---------- ***/
+  // Just enough of the zip format for project import/export. Archives are
+  // written with stored (uncompressed) entries; reading also inflates
+  // deflated ones through DecompressionStream. No zip64 or encryption.
+  const ZIP_UTF8 = 0x0800;  // general purpose flag: names are UTF-8
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Packs [value, byteWidth] pairs little-endian.
+  function packLE(fields) {
+    const out = new Uint8Array(fields.reduce((n, [, width]) => n + width, 0));
+    const view = new DataView(out.buffer);
+    let at = 0;
+    fields.forEach(([value, width]) => {
+      if (width === 2) view.setUint16(at, value, true);
+      else view.setUint32(at, value, true);
+      at += width;
+    });
+    return out;
+  }
+
+  // `entries` is [[path, text]]; returns the archive as a Blob.
+  function zipBlob(entries) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(([path, text]) => {
+      const name = encoder.encode(path);
+      const data = encoder.encode(text);
+      const crc = crc32(data);
+      parts.push(packLE([
+        [0x04034b50, 4], [20, 2], [ZIP_UTF8, 2], [0, 2], [time, 2], [date, 2],
+        [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]
+      ]), name, data);
+      central.push(packLE([
+        [0x02014b50, 4], [20, 2], [20, 2], [ZIP_UTF8, 2], [0, 2], [time, 2], [date, 2],
+        [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2], [0, 2],
+        [0, 2], [0, 2], [0, 4], [offset, 4]
+      ]), name);
+      offset += 30 + name.length + data.length;
+    });
+    const size = central.reduce((n, part) => n + part.length, 0);
+    const end = packLE([
+      [0x06054b50, 4], [0, 2], [0, 2], [entries.length, 2], [entries.length, 2], [size, 4], [offset, 4], [0, 2]
+    ]);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('このブラウザは圧縮された zip を展開できません');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Lists the files in an archive as [{ path, read() }]; read() resolves
+  // with the entry's text, so callers only inflate what they keep.
+  function unzip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('zip ファイルではありません');
+    const decoder = new TextDecoder();
+    const entries = [];
+    let at = view.getUint32(end + 16, true);
+    for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+      if (view.getUint32(at, true) !== 0x02014b50) throw new Error('zip ファイルが壊れています');
+      const method = view.getUint16(at + 10, true);
+      const size = view.getUint32(at + 20, true);
+      const nameLength = view.getUint16(at + 28, true);
+      const local = view.getUint32(at + 42, true);
+      const path = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+      at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+      if (path.endsWith('/')) continue;
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(start, start + size);
+      entries.push({
+        path,
+        async read() {
+          if (method === 0) return decoder.decode(data);
+          if (method === 8) return decoder.decode(await inflateRaw(data));
+          throw new Error(`${path}: 未対応の圧縮形式です`);
+        }
+      });
+    }
+    return entries;
+  }
+
+  /*** ---------- Import / Export / Reset ---------- ***/
+  // Projects export either as the JSON blob older versions wrote or as a zip
+  // holding a Dart package: pubspec.yaml plus the files laid out under
+  // lib/, bin/ and web/ (see packageLayout()), so the project opens in a
+  // local `dart` checkout. Import takes both, telling them apart by name.
+  const PACKAGE_DIRS = ['lib', 'bin', 'web', 'test', 'tool', 'example', 'benchmark', 'integration_test'];
+  const WEB_IMPORT_RE = /^\s*import\s+['"](?:dart:html|dart:js_interop|dart:js|package:web\/)/m;
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function exportProject() {
+    const choice = await showDialog('エクスポート', Object.assign(document.createElement('p'), {
+      className: 'keymap-note',
+      textContent: 'zip は pubspec.yaml と lib/・bin/・web/ を含む Dart パッケージです。JSON はこのアプリ専用の形式です。'
+    }), [
+      { label: 'キャンセル', value: 'cancel' },
+      { label: 'JSON', value: 'json' },
+      { label: 'zip (Dart パッケージ)', value: 'zip', kind: 'primary' }
+    ]);
+    if (choice === 'json') exportJson();
+    else if (choice === 'zip') exportZip();
+  }
+
+  function exportJson() {
+    const data = {
+      schema: STATE_SCHEMA,
+      files: state.files,
+      active: state.active,
+      runConfigs: state.runConfigs,
+      activeConfig: state.activeConfig,
+      settings: state.settings,
+      pubspec: state.pubspec,
+      ts: Date.now()
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'dartpad-mini-project.json');
+  }
+
+  // The pubspec's name, or one made from the project name.
+  function packageName() {
+    const declared = /^name:\s*([a-z_]\w*)/m.exec(state.pubspec || '');
+    if (declared) return declared[1];
+    const name = currentProject().name.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!name) return 'dartpad_project';
+    return /^\d/.test(name) ? `p_${name}` : name;
+  }
+
+  // Where each project file goes in the package. Files already under a
+  // package directory stay; root-level entry points go to web/ when they
+  // use browser libraries and to bin/ otherwise; everything else moves
+  // into lib/. A file whose new path is taken keeps its own.
+  function packageLayout() {
+    const moves = new Map();
+    const files = Object.keys(state.files);
+    const placed = f => f.includes('/') && PACKAGE_DIRS.includes(f.split('/')[0]);
+    files.filter(placed).forEach(f => moves.set(f, f));
+    files.filter(f => !placed(f)).forEach((file) => {
+      const source = state.files[file];
+      let path = `lib/${file}`;
+      if (!file.includes('/') && hasMain(source)) path = `${WEB_IMPORT_RE.test(source) ? 'web' : 'bin'}/${file}`;
+      moves.set(file, [...moves.values()].includes(path) ? file : path);
+    });
+    return moves;
+  }
+
+  function defaultPubspec(name, web) {
+    const lines = [
+      `name: ${name}`,
+      'description: Exported from Mini DartPad.',
+      'version: 1.0.0',
+      'publish_to: none',
+      '',
+      'environment:',
+      '  sdk: ^3.0.0'
+    ];
+    if (web) lines.push('', 'dev_dependencies:', '  build_runner: ^2.4.0', '  build_web_compilers: ^4.0.0');
+    return lines.join('\n') + '\n';
+  }
+
+  function webIndexHtml(entry) {
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <script defer src="${entry.replace(/\.dart$/, '.dart.js')}"></script>
+  </head>
+  <body>
+    <div id="app"></div>
+  </body>
+</html>
+`;
+  }
+
+  // Relative imports are rewritten for the new layout; files outside lib/
+  // reach lib/ through package: URIs, as pub expects.
+  function exportZip() {
+    const pkg = packageName();
+    const moves = packageLayout();
+    const entries = Object.keys(state.files).sort().map((file) => {
+      const to = moves.get(file);
+      const source = rewriteDirectiveUris(state.files[file], (d) => {
+        if (!isRelativeUri(d.uri)) return null;
+        const target = moves.get(resolveRelative(file, d.uri));
+        if (!target) return null;
+        if (target.startsWith('lib/') && !to.startsWith('lib/')) return `package:${pkg}/${target.slice(4)}`;
+        return relativeUri(to, target);
+      });
+      return [to, source === null ? state.files[file] : source];
+    });
+    const webEntries = entries.filter(([path, source]) => folderOf(path) === 'web' && hasMain(source));
+    entries.unshift(['pubspec.yaml', state.pubspec || defaultPubspec(pkg, webEntries.length > 0)]);
+    if (webEntries.length > 0) entries.push(['web/index.html', webIndexHtml(baseName(webEntries[0][0]))]);
+    downloadBlob(zipBlob(entries), `${pkg}.zip`);
+  }
+
+  function importFile(file) {
+    if (/\.zip$/i.test(file.name) || file.type === 'application/zip') importZip(file);
+    else importProject(file);
+  }
+
+  // Replaces the open project with imported files and settings, snapshotting
+  // the current ones first. Resolves with false when that was called off.
+  async function loadImported(obj) {
+    if (!await snapshotBefore('インポート前')) return false;
+    state.schema = obj.schema;
+    state.files = obj.files;
+    state.active = obj.active || 'main.dart';
+    state.runConfigs = obj.runConfigs;
+    state.activeConfig = obj.activeConfig;
+    state.settings = obj.settings;
+    state.pubspec = obj.pubspec;
+    state.undoHistory = {};
+    state.folds = {};
+    state.folders = [];
+    state.layout = null;
+    ensureState();
+    persist();
+    applyLayout();
+    renderRunConfigs();
+    renderFileList();
+    setActive(state.active);
+    setStatus('インポート完了');
+    return true;
+  }
+
+  function importProject(file) {
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        const obj = migrateState(JSON.parse(reader.result));
+        if (!obj) throw new Error('不正な形式');
+        await loadImported(obj);
+      } catch (e) {
+        setStatus('インポート失敗: ' + e.message, true);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // The package root is the folder holding the shallowest pubspec.yaml (zips
+  // of a checkout usually wrap everything in one folder). Only .dart files
+  // outside hidden and build folders are kept; the pubspec is kept aside for
+  // the next export. `package:<this package>/` imports become relative ones,
+  // since the linker only resolves project files that way. Entry points in
+  // bin/, web/ or the root become run configurations.
+  async function importZip(file) {
+    try {
+      const entries = unzip(await file.arrayBuffer());
+      const pubspec = entries.filter(e => baseName(e.path) === 'pubspec.yaml')
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length)[0];
+      const root = pubspec ? pubspec.path.slice(0, -'pubspec.yaml'.length) : '';
+      const files = {};
+      for (const entry of entries) {
+        if (!entry.path.startsWith(root) || !entry.path.endsWith('.dart')) continue;
+        // Archives may hold absolute, `..` or backslash paths; skip what
+        // isn't a plain relative path.
+        const path = cleanPath(entry.path.slice(root.length));
+        if (!path || path.split('/').some(seg => seg.startsWith('.')) || path.startsWith('build/')) continue;
+        files[path] = await entry.read();
+      }
+      if (Object.keys(files).length === 0) throw new Error('Dart ファイルがありません');
+      const pubspecText = pubspec ? await pubspec.read() : undefined;
+      const pkg = (/^name:\s*([a-z_]\w*)/m.exec(pubspecText || '') || [])[1];
+      if (pkg) {
+        Object.keys(files).forEach((name) => {
+          const text = rewriteDirectiveUris(files[name], (d) => {
+            if (!d.uri.startsWith(`package:${pkg}/`)) return null;
+            const target = `lib/${d.uri.slice(pkg.length + 9)}`;
+            return target in files ? relativeUri(name, target) : null;
+          });
+          if (text !== null) files[name] = text;
+        });
+      }
+      const runConfigs = [];
+      Object.keys(files).sort().forEach((entry) => {
+        if (!['', 'bin', 'web'].includes(folderOf(entry)) || !hasMain(files[entry])) return;
+        let name = baseName(entry).replace(/\.dart$/, '');
+        if (runConfigs.some(c => c.name === name)) name = entry;
+        runConfigs.push({ ...DEFAULT_RUN_CONFIG, name, entry });
+      });
+      const loaded = await loadImported({
+        schema: STATE_SCHEMA,
+        files,
+        active: runConfigs.length ? runConfigs[0].entry : Object.keys(files).sort()[0],
+        runConfigs,
+        activeConfig: runConfigs.length ? runConfigs[0].name : undefined,
+        settings: state.settings,
+        pubspec: pubspecText
+      });
+      // Without runnable files the default config falls back to the first
+      // file (see ensureRunConfigs) and Run explains why it can't start.
+      if (loaded && runConfigs.length === 0) setStatus('インポート完了 (main() を持つファイルがないため実行できません)');
+    } catch (e) {
+      setStatus('インポート失敗: ' + e.message, true);
+    }
+  }
+
+  async function hardReset() {
+    if (!confirm(`プロジェクト「${currentProject().name}」を初期化しますか？（履歴から復元できます）`)) return;
+    if (!await snapshotBefore('初期化前')) return;
+    state = newProjectState();
+    ensureState();
+    persist();
+    applyLayout();
+    renderShortcutHints();
+    renderRunConfigs();
+    renderFileList();
+    setActive('main.dart');
+    setStatus('初期化しました');
+  }
+
+  /*** ---------- Projects ---------- ***/
+  // Switching flushes the open project, loads the other one's state and
+  // drops everything derived from the old files: the hot-reload session,
+  // diagnostics and find results.
+  function currentProject() {
+    return projects.projects.find(p => p.id === projects.current);
+  }
+
+  function recentProjects() {
+    return [...projects.projects].sort((a, b) => b.opened - a.opened);
+  }
+
+  function renderProjectName() {
+    const { name } = currentProject();
+    UI.projectBtn.textContent = name;
+    document.title = `${name} - Mini DartPad`;
+  }
+
+  // Resolves with whether the switch happened: when the open project can't
+  // be saved, switching (and losing its unsaved edits) needs a confirm.
+  async function openProject(id) {
+    const entry = projects.projects.find(p => p.id === id);
+    if (!entry) return false;
+    if (!await flushPersist() && !confirm('現在のプロジェクトを保存できませんでした。保存されていない変更を破棄して切り替えますか？')) {
+      return false;
+    }
+    entry.opened = Date.now();
+    projects.current = id;
+    saveProjects();
+    state = await loadState(id);
+    if (!state) {
+      state = newProjectState();
+      persist();
+    }
+    ensureState();
+    savedFiles = { ...state.files };
+    disposeDdcSession();
+    showDiagnostics([]);
+    closeCompletion();
+    applyLayout();
+    renderShortcutHints();
+    renderRunConfigs();
+    renderFileList();
+    setActive(state.active);
+    renderProjectName();
+    if (!UI.find.hidden) runFind();
+    setStatus(`「${entry.name}」を開きました`);
+    return true;
+  }
+
+  // Stores `data` as a new project and returns its index entry, or null if
+  // it couldn't be saved.
+  async function addProject(name, data) {
+    const now = Date.now();
+    const entry = { id: projectId(), name, created: now, opened: now };
+    if (!await store(PROJECT_KEY_PREFIX + entry.id, data)) return null;
+    projects.projects.push(entry);
+    await saveProjects();
+    return entry;
+  }
+
+  function unusedProjectName(base) {
+    const taken = new Set(projects.projects.map(p => p.name));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+  }
+
+  async function promptNewProject() {
+    const input = prompt('新しいプロジェクト名', unusedProjectName('プロジェクト'));
+    const name = input && input.trim();
+    if (!name) return;
+    const entry = await addProject(name, newProjectState());
+    if (entry) await openProject(entry.id);
+  }
+
+  // The open project is copied from memory, unsaved edits included.
+  async function duplicateProject(id) {
+    const source = projects.projects.find(p => p.id === id);
+    const data = id === projects.current ? state : await loadState(id) || newProjectState();
+    const entry = await addProject(unusedProjectName(`${source.name} のコピー`), data);
+    if (entry) setStatus(`「${entry.name}」を作成しました`);
+  }
+
+  function promptRenameProject(id) {
+    const entry = projects.projects.find(p => p.id === id);
+    const input = prompt('プロジェクト名', entry.name);
+    const name = input && input.trim();
+    if (!name || name === entry.name) return;
+    entry.name = name;
+    saveProjects();
+    renderProjectName();
+  }
+
+  // Deleting the open project first switches to the most recent other one;
+  // the last project can only be reset.
+  async function promptDeleteProject(id) {
+    const entry = projects.projects.find(p => p.id === id);
+    if (projects.projects.length === 1) {
+      setStatus('最後のプロジェクトは削除できません', true);
+      return;
+    }
+    if (!confirm(`プロジェクト「${entry.name}」を削除しますか？（元に戻せません）`)) return;
+    if (id === projects.current && !await openProject(recentProjects().find(p => p.id !== id).id)) return;
+    projects.projects = projects.projects.filter(p => p.id !== id);
+    await storage.remove(PROJECT_KEY_PREFIX + id).catch(() => {});
+    const snapshots = await storage.get(SNAPSHOT_KEY_PREFIX + id).catch(() => null);
+    for (const snap of snapshots || []) await storage.remove(snapshotKey(id, snap.id)).catch(() => {});
+    await storage.remove(SNAPSHOT_KEY_PREFIX + id).catch(() => {});
+    await saveProjects();
+    renderStorageUsage();
+    setStatus(`「${entry.name}」を削除しました`);
+  }
+
+  function timeAgo(ts) {
+    const minutes = Math.floor((Date.now() - ts) / 60000);
+    if (minutes < 1) return 'たった今';
+    if (minutes < 60) return `${minutes} 分前`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} 時間前`;
+    const days = Math.floor(hours / 24);
+    return days < 30 ? `${days} 日前` : new Date(ts).toLocaleDateString();
+  }
+
+  // The manager lists projects most recently opened first. Row buttons close
+  // the dialog with '<action>:<id>'; after duplicate / rename / delete the
+  // list is shown again.
+  async function manageProjects() {
+    const body = document.createElement('div');
+    body.className = 'project-list';
+    recentProjects().forEach((p) => {
+      const row = document.createElement('div');
+      row.className = 'project-item' + (p.id === projects.current ? ' active' : '');
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'project-open';
+      open.innerHTML = `<span class="project-name">${escapeHTML(p.name)}</span><span class="project-meta">${escapeHTML(timeAgo(p.opened))}</span>`;
+      open.addEventListener('click', () => UI.dialog.close(`open:${p.id}`));
+      row.appendChild(open);
+      [['複製', 'duplicate', 'ghost'], ['名前変更', 'rename', 'ghost'], ['削除', 'delete', 'danger']].forEach(([label, action, kind]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn small ${kind}`;
+        btn.textContent = label;
+        btn.addEventListener('click', () => UI.dialog.close(`${action}:${p.id}`));
+        row.appendChild(btn);
+      });
+      body.appendChild(row);
+    });
+    const choice = await showDialog('プロジェクト', body, [
+      { label: '新規プロジェクト…', value: 'new' },
+      { label: '閉じる', value: 'close', kind: 'primary' }
+    ]);
+    if (choice === 'new') {
+      promptNewProject();
+      return;
+    }
+    const [, action, id] = /^(\w+):(.+)$/.exec(choice || '') || [];
+    if (action === 'open') {
+      if (id !== projects.current) openProject(id);
+      return;
+    }
+    if (action === 'duplicate') await duplicateProject(id);
+    else if (action === 'rename') promptRenameProject(id);
+    else if (action === 'delete') await promptDeleteProject(id);
+    else return;
+    manageProjects();
+  }
+
+  /*** ---------- Snapshots ---------- ***/
+  // Copies of the whole project's files. Each snapshot's files live under
+  // their own key, snapshotKey(project, id), so taking one writes only that
+  // copy; SNAPSHOT_KEY_PREFIX + project holds the index
+  // [{ id, time, label, auto, count, bytes }], oldest first. Automatic ones
+  // are taken at most every AUTO_SNAPSHOT_MS while editing and before
+  // anything that replaces files (reset, import, restore); only the newest
+  // AUTO_SNAPSHOT_MAX of those are kept, and the oldest go first when a
+  // project's snapshots outgrow snapshotBudget() or storage fills up.
+  // Manual snapshots stay until deleted.
+  const AUTO_SNAPSHOT_MS = 5 * 60 * 1000;
+  const AUTO_SNAPSHOT_MAX = 50;
+  let snapshotCache = null;  // { project, list } for the open project
+
+  // Per project; localStorage only has a few MB for everything.
+  function snapshotBudget() {
+    return (storage.label === 'localStorage' ? 1 : 20) * 1024 * 1024;
+  }
+
+  function snapshotKey(project, id) {
+    return `${SNAPSHOT_KEY_PREFIX}${project}:${id}`;
+  }
+
+  // Counted as UTF-16, like localStorageBytes().
+  function snapshotBytes(files) {
+    return Object.entries(files).reduce((sum, [name, text]) => sum + (name.length + text.length) * 2, 0);
+  }
+
+  async function loadSnapshots(project) {
+    if (!snapshotCache || snapshotCache.project !== project) {
+      const list = await storage.get(SNAPSHOT_KEY_PREFIX + project);
+      snapshotCache = { project, list: Array.isArray(list) ? list : [] };
+    }
+    return snapshotCache.list;
+  }
+
+  function snapshotFiles(project, snapshot) {
+    return storage.get(snapshotKey(project, snapshot.id)).catch(() => null);
+  }
+
+  // Removes index entries of `project` along with their files; the caller
+  // writes the index.
+  async function dropSnapshots(project, dropped) {
+    const list = await loadSnapshots(project);
+    for (const snap of dropped) await storage.remove(snapshotKey(project, snap.id)).catch(() => {});
+    list.splice(0, list.length, ...list.filter(x => !dropped.includes(x)));
+  }
+
+  // Called by store() on quota errors, so it writes through the backend
+  // directly. False when the open project has no automatic snapshot left.
+  async function evictAutoSnapshot() {
+    if (!projects) return false;
+    const project = projects.current;
+    const list = await loadSnapshots(project).catch(() => []);
+    const oldest = list.find(x => x.auto);
+    if (!oldest) return false;
+    await dropSnapshots(project, [oldest]);
+    await storage.set(SNAPSHOT_KEY_PREFIX + project, list).catch(() => {});
+    return true;
+  }
+
+  function sameFiles(a, b) {
+    const names = Object.keys(a);
+    return names.length === Object.keys(b).length && names.every(f => a[f] === b[f]);
+  }
+
+  // The files are copied before anything is awaited. An automatic snapshot
+  // identical to the newest one is skipped and that one is returned. Never
+  // rejects: failures are reported and give null.
+  async function takeSnapshot(label, auto) {
+    try {
+      return await saveSnapshot(label, auto, { ...state.files });
+    } catch (e) {
+      setStatus('スナップショットを保存できません: ' + e.message, true);
+      return null;
+    }
+  }
+
+  async function saveSnapshot(label, auto, files) {
+    const project = projects.current;
+    const list = await loadSnapshots(project);
+    const newest = list[list.length - 1];
+    if (auto && newest && sameFiles(await snapshotFiles(project, newest) || {}, files)) return newest;
+    const snapshot = {
+      id: projectId(), time: Date.now(), label: label || '', auto: !!auto,
+      count: Object.keys(files).length, bytes: snapshotBytes(files)
+    };
+    const autos = list.filter(x => x.auto);
+    const dropped = autos.slice(0, Math.max(0, autos.length + (auto ? 1 : 0) - AUTO_SNAPSHOT_MAX));
+    let total = list.reduce((sum, x) => sum + (dropped.includes(x) ? 0 : x.bytes), snapshot.bytes);
+    for (const snap of autos) {
+      if (total <= snapshotBudget()) break;
+      if (dropped.includes(snap)) continue;
+      dropped.push(snap);
+      total -= snap.bytes;
+    }
+    if (total > snapshotBudget()) {
+      setStatus('スナップショットの容量上限を超えています。古いスナップショットを削除してください', true);
+      return null;
+    }
+    if (!await store(snapshotKey(project, snapshot.id), files)) return null;
+    await dropSnapshots(project, dropped);
+    list.push(snapshot);
+    if (!await store(SNAPSHOT_KEY_PREFIX + project, list)) {
+      list.pop();
+      await storage.remove(snapshotKey(project, snapshot.id)).catch(() => {});
+      return null;
+    }
+    return snapshot;
+  }
+
+  // Runs unawaited after saves, so it never rejects either.
+  async function autoSnapshot() {
+    const list = await loadSnapshots(projects.current).catch(() => null);
+    if (!list) return;
+    const newest = list[list.length - 1];
+    if (!newest || Date.now() - newest.time >= AUTO_SNAPSHOT_MS) await takeSnapshot('', true);
+  }
+
+  // The safety snapshot before replacing files. When it can't be saved the
+  // user decides whether to go on without it.
+  async function snapshotBefore(label) {
+    return !!await takeSnapshot(label, true)
+      || confirm('スナップショットを保存できませんでした。このまま続けますか？（元に戻せません）');
+  }
+
+  async function deleteSnapshot(id) {
+    const project = projects.current;
+    const snap = (await loadSnapshots(project)).find(x => x.id === id);
+    if (!snap) return;
+    await dropSnapshots(project, [snap]);
+    await store(SNAPSHOT_KEY_PREFIX + project, snapshotCache.list);
+    renderStorageUsage();
+  }
+
+  function snapshotTitle(snapshot) {
+    const when = `${new Date(snapshot.time).toLocaleString()} (${timeAgo(snapshot.time)})`;
+    return snapshot.label ? `${snapshot.label} — ${when}` : when;
+  }
+
+  async function promptSnapshot() {
+    const label = prompt('スナップショットのラベル (省略可)', '');
+    if (label === null) return;
+    await flushPersist();
+    if (await takeSnapshot(label.trim(), false)) setStatus('スナップショットを作成しました');
+  }
+
+  // The timeline, newest first. Row buttons close the dialog with
+  // '<action>:<id>', as in the project manager.
+  async function showSnapshots() {
+    const list = await loadSnapshots(projects.current);
+    const body = document.createElement('div');
+    body.className = 'snapshot-list';
+    if (list.length === 0) {
+      body.appendChild(Object.assign(document.createElement('p'), {
+        className: 'keymap-note', textContent: 'スナップショットはまだありません'
+      }));
+    }
+    [...list].reverse().forEach((snap) => {
+      const row = document.createElement('div');
+      row.className = 'snapshot-item';
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'snapshot-open';
+      open.innerHTML = `<span class="snapshot-name">${escapeHTML(snapshotTitle(snap))}</span>`
+        + `<span class="snapshot-meta">${snap.auto ? '自動' : '手動'} · ${snap.count} ファイル · ${formatBytes(snap.bytes)}</span>`;
+      open.addEventListener('click', () => UI.dialog.close(`view:${snap.id}`));
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn small danger';
+      del.textContent = '削除';
+      del.addEventListener('click', () => UI.dialog.close(`delete:${snap.id}`));
+      row.append(open, del);
+      body.appendChild(row);
+    });
+    const choice = await showDialog('履歴', body, [
+      { label: 'スナップショットを作成…', value: 'take' },
+      { label: '閉じる', value: 'close', kind: 'primary' }
+    ]);
+    if (choice === 'take') {
+      await promptSnapshot();
+      showSnapshots();
+      return;
+    }
+    const [, action, id] = /^(\w+):(.+)$/.exec(choice || '') || [];
+    if (action === 'view') {
+      showSnapshot(list.find(x => x.id === id));
+    } else if (action === 'delete') {
+      await deleteSnapshot(id);
+      showSnapshots();
+    }
+  }
+
+  // Diffs one snapshot against the current files (snapshot → now). Each file
+  // the snapshot has can be restored on its own.
+  async function showSnapshot(entry) {
+    const files = entry && await snapshotFiles(projects.current, entry);
+    if (!files) {
+      setStatus('スナップショットを読み込めませんでした', true);
+      return;
+    }
+    const snapshot = { ...entry, files };
+    const body = document.createElement('div');
+    const names = [...new Set([...Object.keys(snapshot.files), ...Object.keys(state.files)])].sort();
+    const changed = names.filter(f => snapshot.files[f] !== state.files[f]);
+    if (changed.length === 0) {
+      body.appendChild(Object.assign(document.createElement('p'), {
+        className: 'keymap-note', textContent: '現在の内容と同じです'
+      }));
+    }
+    changed.forEach((file) => {
+      const head = Object.assign(document.createElement('div'), { className: 'diff-file snapshot-file' });
+      const note = !(file in snapshot.files) ? ' (以降に追加)' : !(file in state.files) ? ' (以降に削除)' : '';
+      head.appendChild(document.createTextNode(file + note));
+      if (file in snapshot.files) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn small ghost';
+        btn.textContent = 'このファイルを復元';
+        btn.addEventListener('click', () => UI.dialog.close(`file:${file}`));
+        head.appendChild(btn);
+      }
+      body.append(head, renderDiff(snapshot.files[file] || '', state.files[file] || ''));
+    });
+    const choice = await showDialog(snapshotTitle(snapshot), body, [
+      { label: '戻る', value: 'back' },
+      { label: 'プロジェクト全体を復元', value: 'project', kind: 'primary' }
+    ]);
+    if (choice === 'back') showSnapshots();
+    else if (choice === 'project') restoreSnapshot(snapshot, Object.keys(state.files).concat(Object.keys(snapshot.files)));
+    else if (choice && choice.startsWith('file:')) restoreSnapshot(snapshot, [choice.slice(5)]);
+  }
+
+  // Restores `files` from the snapshot; files it doesn't have are deleted.
+  // The current state is snapshotted first and each change goes through the
+  // undo history, so a restore can itself be undone.
+  async function restoreSnapshot(snapshot, files) {
+    if (!await snapshotBefore('復元前')) return;
+    new Set(files).forEach((file) => {
+      const text = snapshot.files[file];
+      if (text === undefined) {
+        delete state.files[file];
+        delete state.undoHistory[file];
+        delete state.folds[file];
+        return;
+      }
+      if (file in state.files) recordEdit(file, state.files[file], text);
+      state.files[file] = text;
+    });
+    if (files.length === 1) state.active = files[0];
+    ensureRunConfigs();
+    ensureLayout();
+    persist();
+    applyLayout();
+    renderRunConfigs();
+    renderFileList();
+    setActive(state.active);
+    setStatus(files.length === 1 ? `${files[0]} を復元しました` : 'プロジェクトを復元しました');
+  }
+
+  /*** ---------- Keybindings ---------- ***/
+  // Global shortcuts are commands looked up by combo in keymap (the defaults
+  // merged with the user's remaps). Combos are written like
+  // 'Ctrl+Shift+F'; ⌘ counts as Ctrl. Editor-local keys (completion, undo,
+  // smart editing, F12) are fixed and only listed in the cheat sheet.
+  const COMMANDS = {
+    run: { label: '実行', run: compileAndRun },
+    formatSave: { label: '整形して保存', run: formatAndSave },
+    quickOpen: { label: 'ファイルを切り替え', run: quickOpen },
+    newFile: { label: '新規ファイル', run: promptNewFile },
+    renameFile: { label: 'ファイル名を変更', run: () => promptRename(state.active) },
+    find: { label: 'プロジェクト内を検索', run: openFind },
+    splitEditor: { label: 'エディタを分割 / 分割を解除', run: toggleSplit },
+    closeTab: { label: 'タブを閉じる', run: () => closeTab(state.active) },
+    projects: { label: 'プロジェクト管理', run: manageProjects },
+    snapshots: { label: '履歴 (スナップショット)', run: showSnapshots },
+    foldAll: { label: 'すべて折りたたむ', run: foldAll },
+    unfoldAll: { label: 'すべて展開', run: unfoldAll },
+    analyze: { label: '解析', run: analyzeProject },
+    hotReload: { label: 'ホットリロード', run: () => hotSwap('reload') },
+    hotRestart: { label: 'ホットリスタート', run: () => hotSwap('restart') },
+    exportProject: { label: 'エクスポート', run: exportProject },
+    shortcuts: { label: 'ショートカット一覧', run: showShortcuts },
+    keymapSettings: { label: 'キー設定', run: editKeymap }
+  };
+  const EDITOR_SHORTCUTS = [
+    ['Ctrl+Space', '補完候補を表示'],
+    ['Ctrl+Z / Ctrl+Shift+Z', '元に戻す / やり直す'],
+    ['Ctrl+/', '行コメントの切り替え'],
+    ['Tab / Shift+Tab', 'インデント / アウトデント'],
+    ['F12 / Ctrl+クリック', '定義へ移動']
+  ];
+
+  // Remaps used to be saved in each project; until KEYMAP_KEY exists the
+  // open project's are taken over.
+  async function loadKeymap() {
+    const saved = await storage.get(KEYMAP_KEY);
+    keymap = { ...DEFAULT_KEYMAP, ...(saved || state.keymap) };
+    Object.keys(keymap).forEach((id) => { if (!(id in DEFAULT_KEYMAP)) delete keymap[id]; });
+    if (!saved && state.keymap) await store(KEYMAP_KEY, keymap);
+  }
+
+  // On macOS Option changes e.key (Alt+N types '˜'), so Alt combos are read
+  // from the physical key instead.
+  const CODE_KEYS = {
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Comma: ',', Period: '.', Slash: '/',
+    Semicolon: ';', Quote: "'", Minus: '-', Equal: '=', Backquote: '`'
+  };
+  function keyFromCode(code) {
+    const m = /^(?:Key|Digit)(\w)$/.exec(code || '');
+    return m ? m[1] : CODE_KEYS[code];
+  }
+
+  function comboFromEvent(e) {
+    let key = e.key;
+    if (['Control', 'Meta', 'Shift', 'Alt'].includes(key)) return null;
+    if (e.altKey) key = keyFromCode(e.code) || key;
+    if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+    return [(e.ctrlKey || e.metaKey) && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', key].filter(Boolean).join('+');
+  }
+
+  // Plain keys would swallow typing; only modified keys and F-keys bind.
+  function isBindable(combo) {
+    return /^(?:Ctrl|Alt)\+/.test(combo) || /(?:^|\+)F\d{1,2}$/.test(combo);
+  }
+
+  function commandForCombo(combo) {
+    return Object.keys(keymap).find(id => keymap[id] === combo);
+  }
+
+  function onGlobalKey(e) {
+    if (e.defaultPrevented || e.isComposing || UI.dialog.open) return;
+    const combo = comboFromEvent(e);
+    const id = combo && commandForCombo(combo);
+    if (!id) return;
+    e.preventDefault();
+    COMMANDS[id].run();
+  }
+
+  async function formatAndSave() {
+    try {
+      await formatFiles([state.active], { preview: false });
+      persist();
+      setStatus('整形して保存しました');
+    } catch (e) {
+      setStatus('整形失敗: ' + e.message, true);
+    }
+  }
+
+  // Ctrl+P: a filterable file list in the shared dialog.
+  async function quickOpen() {
+    const body = document.createElement('div');
+    body.className = 'quick-open';
+    const input = document.createElement('input');
+    input.className = 'find-input';
+    input.type = 'search';
+    input.placeholder = 'ファイル名';
+    const list = document.createElement('div');
+    list.className = 'quick-open-list';
+    const render = () => {
+      const q = input.value.toLowerCase();
+      list.innerHTML = '';
+      Object.keys(state.files).filter(f => f.toLowerCase().includes(q)).forEach((file) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'file-item' + (file === state.active ? ' active' : '');
+        btn.textContent = file;
+        btn.addEventListener('click', () => UI.dialog.close(file));
+        list.appendChild(btn);
+      });
+    };
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      const first = list.querySelector('button');
+      if (first) first.click();
+    });
+    body.append(input, list);
+    render();
+    const pending = showDialog('ファイルを切り替え', body, [{ label: 'キャンセル', value: 'cancel' }]);
+    input.focus();
+    const choice = await pending;
+    if (choice && state.files[choice]) setActive(choice);
+  }
+
+  function shortcutTable(rows) {
+    const table = document.createElement('table');
+    table.className = 'v-table shortcut-table';
+    rows.forEach(([keys, label]) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td><kbd>${escapeHTML(keys || '—')}</kbd></td><td>${escapeHTML(label)}</td>`;
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  async function showShortcuts() {
+    const body = document.createElement('div');
+    body.append(
+      shortcutTable(Object.keys(COMMANDS).map(id => [keymap[id], COMMANDS[id].label])),
+      shortcutTable(EDITOR_SHORTCUTS)
+    );
+    const choice = await showDialog('ショートカット', body, [
+      { label: 'キー設定…', value: 'settings' },
+      { label: '閉じる', value: 'close', kind: 'primary' }
+    ]);
+    if (choice === 'settings') editKeymap();
+  }
+
+  // Remapping screen: click a binding, then press the new combo (Esc
+  // cancels, Backspace/Delete unbinds). A combo taken by another command
+  // moves to the one being edited.
+  async function editKeymap() {
+    const draft = { ...keymap };
+    const body = document.createElement('div');
+    const note = document.createElement('p');
+    note.className = 'keymap-note';
+    note.textContent = 'ボタンを押してから新しいキーを入力 (Esc: 取消 / Backspace: 解除)';
+    const table = document.createElement('table');
+    table.className = 'v-table shortcut-table';
+    body.append(note, table);
+
+    const render = () => {
+      table.innerHTML = '';
+      Object.keys(COMMANDS).forEach((id) => {
+        const tr = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = COMMANDS[id].label;
+        const cell = document.createElement('td');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'chip keymap-key';
+        btn.textContent = draft[id] || '—';
+        btn.addEventListener('click', () => record(id, btn));
+        cell.appendChild(btn);
+        tr.append(label, cell);
+        table.appendChild(tr);
+      });
+    };
+    const record = (id, btn) => {
+      btn.textContent = 'キーを入力…';
+      btn.setAttribute('aria-pressed', 'true');
+      const onKey = (e) => {
+        const combo = comboFromEvent(e);
+        if (!combo) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (combo !== 'Escape' && combo !== 'Backspace' && combo !== 'Delete' && !isBindable(combo)) {
+          note.textContent = `${combo} は割り当てられません (Ctrl/Alt との組み合わせか F キー)`;
+          return;
+        }
+        // Escape stops recording without closing the dialog.
+        if (combo === 'Backspace' || combo === 'Delete') {
+          draft[id] = '';
+        } else if (combo !== 'Escape') {
+          const taken = Object.keys(draft).find(other => other !== id && draft[other] === combo);
+          if (taken) {
+            draft[taken] = '';
+            note.textContent = `${combo} を「${COMMANDS[taken].label}」から移しました`;
+          }
+          draft[id] = combo;
+        }
+        UI.dialog.removeEventListener('keydown', onKey, true);
+        render();
+      };
+      UI.dialog.addEventListener('keydown', onKey, true);
+    };
+    render();
+
+    const choice = await showDialog('キー設定', body, [
+      { label: 'デフォルトに戻す', value: 'reset' },
+      { label: 'キャンセル', value: 'cancel' },
+      { label: '保存', value: 'save', kind: 'primary' }
+    ]);
+    if (choice === 'save') keymap = draft;
+    else if (choice === 'reset') keymap = { ...DEFAULT_KEYMAP };
+    else return;
+    renderShortcutHints();
+    if (await store(KEYMAP_KEY, keymap)) setStatus('キー設定を保存しました');
+  }
+
+  // Button tooltips show the current binding.
+  function renderShortcutHints() {
+    [[UI.runBtn, 'run'], [UI.findBtn, 'find'], [UI.analyzeBtn, 'analyze'],
+     [UI.hotReloadBtn, 'hotReload'], [UI.hotRestartBtn, 'hotRestart'], [UI.addFileBtn, 'newFile'],
+     [UI.exportBtn, 'exportProject'], [UI.shortcutsBtn, 'shortcuts'], [UI.foldAllBtn, 'foldAll'],
+     [UI.unfoldAllBtn, 'unfoldAll'], [UI.splitBtn, 'splitEditor']].forEach(([btn, id]) => {
+      if (!btn.dataset.title) btn.dataset.title = btn.title || btn.textContent.trim();
+      btn.title = keymap[id] ? `${btn.dataset.title} (${keymap[id]})` : btn.dataset.title;
+    });
+  }
+
+  /*** ---------- Editor benchmark ---------- ***/
+  // index.html?bench=<lines> loads bench.js, which times the editor on a
+  // generated file through the internals handed to it here.
+  function loadEditorBenchmark(lines) {
+    const script = document.createElement('script');
+    script.src = 'bench.js';
+    script.addEventListener('load', () => self.runEditorBenchmark(lines, {
+      state,
+      editor: UI.editor,
+      setActive,
+      replaceEditorRange,
+      refreshEditor,
+      cancelRefresh: () => clearTimeout(lnTimer),
+      closeCompletion,
+      onEditorScroll,
+      foldAll,
+      unfoldAll,
+      appendConsole
+    }));
+    script.addEventListener('error', () => appendConsole('error', 'bench.js を読み込めません'));
+    document.head.appendChild(script);
+  }
+
+  /*** ---------- Event wiring ---------- ***/
+  // Everything here reads `state`, so it is wired once loadWorkspace() has
+  // produced one; until then the editors are read-only.
+  function wireEvents() {
+    UI.addFileBtn.addEventListener('click', promptNewFile);
+    UI.addFolderBtn.addEventListener('click', promptNewFolder);
+    ['dragstart', 'dragover', 'dragleave', 'drop'].forEach(ev => UI.fileList.addEventListener(ev, onFileListDrag));
+    UI.runBtn.addEventListener('click', compileAndRun);
+    UI.cancelBtn.addEventListener('click', () => {
+      if (cancelCompile()) setStatus('コンパイルをキャンセルしました');
+    });
+    UI.hotReloadBtn.addEventListener('click', () => hotSwap('reload'));
+    UI.hotRestartBtn.addEventListener('click', () => hotSwap('restart'));
+    UI.runConfigSelect.addEventListener('change', () => {
+      const name = UI.runConfigSelect.value;
+      if (!name) { newRunConfig(); return; }
+      state.activeConfig = name;
+      persist();
+      renderFileList();
+    });
+    UI.runConfigEditBtn.addEventListener('click', editRunConfig);
+    UI.snapshotsBtn.addEventListener('click', showSnapshots);
+    UI.exportBtn.addEventListener('click', exportProject);
+    UI.importBtn.addEventListener('click', () => UI.importInput.click());
+    UI.importInput.addEventListener('change', () => {
+      if (UI.importInput.files && UI.importInput.files[0]) {
+        importFile(UI.importInput.files[0]);
+        UI.importInput.value = '';
+      }
+    });
+    UI.resetBtn.addEventListener('click', hardReset);
+    UI.clearCacheBtn.addEventListener('click', clearCompileCache);
+    UI.drawerToggle.addEventListener('click', () => {
+      document.body.classList.toggle('drawer-open');
+    });
+
+    UI.analyzeBtn.addEventListener('click', analyzeProject);
+    UI.consoleClearBtn.addEventListener('click', clearConsole);
+    UI.replInput.addEventListener('keydown', onReplKey);
+    UI.consoleSearch.addEventListener('input', () => {
+      UI.console.querySelectorAll('.log').forEach(applyConsoleSearch);
+    });
+    UI.formatBtn.addEventListener('click', formatActive);
+    UI.findBtn.addEventListener('click', openFind);
+    UI.findCloseBtn.addEventListener('click', closeFind);
+    UI.findQuery.addEventListener('input', scheduleFind);
+    UI.findQuery.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const first = UI.findResults.querySelector('.find-hit');
+        if (first) first.click();
+      }
+    });
+    UI.findReplaceAllBtn.addEventListener('click', replaceAllInProject);
+    [[UI.findRegexBtn, 'regex'], [UI.findCaseBtn, 'caseSensitive'], [UI.findWordBtn, 'wholeWord']]
+      .forEach(([btn, key]) => btn.addEventListener('click', () => {
+        findOptions[key] = !findOptions[key];
+        renderFindToggles();
+        runFind();
+      }));
+    UI.find.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeFind();
+    });
+    document.addEventListener('keydown', onGlobalKey);
+    UI.foldAllBtn.addEventListener('click', foldAll);
+    UI.unfoldAllBtn.addEventListener('click', unfoldAll);
+    UI.shortcutsBtn.addEventListener('click', showShortcuts);
+    UI.projectBtn.addEventListener('click', manageProjects);
+    window.addEventListener('resize', onEditorResize);
+    window.addEventListener('pagehide', onPageHide);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushPersist();
+    });
+    UI.splitBtn.addEventListener('click', toggleSplit);
+    panes.forEach((pane, i) => {
+      const { editor } = pane;
+      editor.addEventListener('focus', () => focusPane(i));
+      editor.addEventListener('input', onEditorInput);
+      // An unfocused pane can still be scrolled with the wheel.
+      editor.addEventListener('scroll', () => {
+        if (pane === currentPane) onEditorScroll();
+        else withPane(pane, onEditorScroll);
+      });
+      editor.addEventListener('input', onCompletionInput);
+      editor.addEventListener('input', scheduleFind);
+      editor.addEventListener('input', scheduleOutline);
+      editor.addEventListener('keydown', onDefinitionKey);
+      editor.addEventListener('click', onDefinitionClick);
+      editor.addEventListener('copy', onFoldClipboard);
+      editor.addEventListener('cut', onFoldClipboard);
+      editor.addEventListener('keydown', onCompletionKey);
+      editor.addEventListener('keydown', onHistoryKey);
+      editor.addEventListener('keydown', onSmartEditKey);
+      ['keyup', 'click', 'focus', 'blur'].forEach(ev => editor.addEventListener(ev, onCaretMove));
+      editor.addEventListener('beforeinput', onHistoryBeforeInput);
+      ['blur', 'scroll', 'mousedown'].forEach(ev => editor.addEventListener(ev, closeCompletion));
+      pane.lineNums.addEventListener('click', (e) => {
+        focusPane(i);
+        onGutterClick(e);
+      });
+    });
+  }
+
+  // Initial render
+  renderConsoleFilters();
+  renderFindToggles();
+  setStatus('読み込み中…');
+  panes.forEach((pane) => { pane.editor.readOnly = true; });
+  loadWorkspace().then(() => null, (e) => {
+    fallbackWorkspace();
+    return e;
+  }).then((error) => {
+    panes.forEach((pane) => { pane.editor.readOnly = false; });
+    wireEvents();
+    renderShortcutHints();
+    renderProjectName();
+    renderRunConfigs();
+    renderFileList();
+    applyLayout();
+    setActive(state.active);
+    renderStorageUsage();
+    // Starting the compile worker now tells whether DDC is there.
+    renderDdcAvailability();
+    ensureCompileWorker();
+    if (error) setStatus('保存データを読み込めませんでした: ' + error.message, true);
+    else setStatus('準備OK');
+    const benchLines = Number(new URLSearchParams(location.search).get('bench'));
+    if (benchLines > 0) loadEditorBenchmark(benchLines);
+  });
 })();
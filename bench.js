@@ -0,0 +1,80 @@
+/* bench.js - Editor benchmark, loaded by app.js only for index.html?bench=<lines>
+   Opens a generated file of about that many lines in a scratch tab, times
+   opening, typing, scrolling, folding and the save serialization, and logs
+   the results to the console. The scratch file is removed again; nothing of
+   it is saved. `app` is the handful of editor internals app.js hands over.
+*/
+'use strict';
+
+(() => {
+  const BENCH_FILE = '__bench__.dart';
+  const BENCH_KEYSTROKES = 50;
+
+  function benchmarkSource(lines) {
+    const chunk = i => [
+      `/// Item number ${i}.`,
+      `class Item${i} {`,
+      '  final String name;',
+      '  int count = 0;',
+      `  Item${i}(this.name);`,
+      "  String describe() => 'Item $name has ${count + 1} things';",
+      '  /* Counts up',
+      '     to ten. */',
+      '  void bump() {',
+      '    if (count < 10) {',
+      '      count++;',
+      '    }',
+      '  }',
+      '}',
+      ''
+    ];
+    const rows = [];
+    for (let i = 0; rows.length < lines; i++) rows.push(...chunk(i));
+    return rows.join('\n') + "\nvoid main() => print('bench');\n";
+  }
+
+  self.runEditorBenchmark = function (lines, app) {
+    const { state, editor } = app;
+    const previous = state.active;
+    const time = (fn) => {
+      const t = performance.now();
+      fn();
+      return performance.now() - t;
+    };
+    const results = [];
+    state.files[BENCH_FILE] = benchmarkSource(lines);
+    results.push(['ファイルを開く', time(() => app.setActive(BENCH_FILE))]);
+
+    const mid = editor.value.indexOf('\n  int count', editor.value.length >> 1) + 1;
+    const keys = [];
+    for (let i = 0; i < BENCH_KEYSTROKES; i++) {
+      keys.push(time(() => {
+        app.replaceEditorRange(mid + i, mid + i, 'x');
+        app.cancelRefresh();
+        app.refreshEditor();
+      }));
+    }
+    app.closeCompletion();
+    results.push([`入力 平均 (${BENCH_KEYSTROKES}回)`, keys.reduce((a, b) => a + b, 0) / keys.length]);
+    results.push(['入力 最大', Math.max(...keys)]);
+
+    const height = editor.scrollHeight;
+    results.push(['スクロール (10回)', time(() => {
+      for (let i = 1; i <= 10; i++) {
+        editor.scrollTop = height * i / 10;
+        app.onEditorScroll();
+      }
+    })]);
+    results.push(['すべて折りたたむ', time(app.foldAll)]);
+    results.push(['すべて展開', time(app.unfoldAll)]);
+    results.push(['保存のシリアライズ', time(() => JSON.stringify(state))]);
+
+    delete state.files[BENCH_FILE];
+    delete state.undoHistory[BENCH_FILE];
+    delete state.folds[BENCH_FILE];
+    state.layout.tabs = state.layout.tabs.filter(f => f !== BENCH_FILE);
+    app.setActive(state.files[previous] ? previous : Object.keys(state.files)[0]);
+    app.appendConsole('info', `エディタのベンチマーク: ${lines}行`);
+    results.forEach(([label, ms]) => app.appendConsole('info', `  ${label}: ${ms.toFixed(1)} ms`));
+  };
+})();
@@ -0,0 +1,78 @@
+/* compile_worker.js - Runs the dart_sdk_new.js compilers off the main thread
+   Protocol (all messages but 'version' carry the request `id`):
+   - in:  {type:'compile', id, compiler:'dart2js', source: Uint8Array, options}
+          {type:'compile', id, compiler:'ddc', uri, sources: {uri: Uint8Array}, options}
+   - out: {type:'version', version, ddc}  (once, on start; version '' when
+          unknown, ddc whether hot reload / REPL can work, see ddcSupported)
+          {type:'progress', id, message}
+          {type:'result', id, js, log}  (log: what the compiler printed, e.g. warnings)
+          {type:'error', id, message}
+*/
+'use strict';
+
+let sdkError = null;
+try {
+  importScripts('dart_sdk_new.js');
+} catch (e) {
+  sdkError = 'dart_sdk_new.js を読み込めません: ' + (e && e.message || e);
+}
+
+// Identifies the compiler build for the host's compile cache: the SDK's own
+// version string when it exposes one, else the HTTP validators of the script.
+async function compilerVersion() {
+  if (sdkError || !self.dart) return '';
+  if (dart.version) return String(dart.version);
+  const res = await fetch('dart_sdk_new.js', { method: 'HEAD' }).catch(() => null);
+  if (!res || !res.ok) return '';
+  return [res.headers.get('etag'), res.headers.get('last-modified')].filter(Boolean).join(' ');
+}
+// DDC mode needs the compiler's dart.ddc, which not every dart_sdk_new.js
+// build has, and the DDC-compiled SDK runtime dart_sdk.js that the preview
+// loads. dart_sdk.js is not in this repository: it must come from the same
+// Dart SDK build and be deployed next to index.html.
+async function ddcSupported() {
+  if (sdkError || !self.dart || !dart.ddc) return false;
+  const res = await fetch('dart_sdk.js', { method: 'HEAD' }).catch(() => null);
+  return !!res && res.ok;
+}
+
+Promise.all([compilerVersion(), ddcSupported()])
+  .then(([version, ddc]) => self.postMessage({ type: 'version', version, ddc }));
+
+function compile(request) {
+  if (sdkError) throw new Error(sdkError);
+  if (!self.dart) throw new Error('dart_sdk_new.js が読み込まれていません');
+  if (request.compiler === 'ddc') {
+    if (!dart.ddc) throw new Error('dart_sdk_new.js に DDC コンパイラ (dart.ddc) がありません');
+    return dart.ddc(request.uri, request.sources, request.options);
+  }
+  if (!dart.dart2js) throw new Error('dart_sdk_new.js に dart2js がありません');
+  return dart.dart2js(request.source, request.options);
+}
+
+// The compilers print warnings and hints instead of returning them, so
+// console output is collected while one runs.
+async function compileWithLog(request) {
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = (...args) => lines.push(args.join(' '));
+  try {
+    return { js: await compile(request), log: lines.join('\n') };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+self.addEventListener('message', async (e) => {
+  const request = e.data || {};
+  if (request.type !== 'compile') return;
+  const { id } = request;
+  try {
+    self.postMessage({ type: 'progress', id, message: request.compiler === 'ddc' ? `DDC: ${request.uri}` : 'dart2js' });
+    const { js, log } = await compileWithLog(request);
+    if (!js) throw new Error('コンパイル結果が空です');
+    self.postMessage({ type: 'result', id, js, log });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: String(err && err.message || err) });
+  }
+});